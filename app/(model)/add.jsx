@@ -0,0 +1,1327 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Image } from 'expo-image';
+import { router, useLocalSearchParams } from 'expo-router';
+import DateField from '../../components/DateField';
+import TagInput from '../../components/TagInput';
+import useLocale from '../../hooks/useLocale';
+import useTheme from '../../hooks/useTheme';
+import {
+  DEFAULT_CATEGORIES,
+  OTHER_CATEGORY_ID,
+  OTHER_INCOME_CATEGORY_ID,
+  getCategoriesOfType,
+} from '../../constants/categories';
+import {
+  EXPENSE_TYPE,
+  INCOME_TYPE,
+  TRANSFER_TYPE,
+  TRANSACTION_TYPES,
+  TRANSFER_CATEGORY,
+  getTransactionType,
+} from '../../constants/transactions';
+import { EMPTY_BUDGETS, loadBudgets, getBudgetOverruns } from '../../utils/budgets';
+import { FREQUENCIES } from '../../utils/recurring';
+import { parseDate, toISODate } from '../../utils/dates';
+import { validateExpenseFields } from '../../utils/validation';
+import { t, formatNumber, normalizeDecimalInput, formatDecimalInput } from '../../utils/i18n';
+import { getExpenseTags, getTagsInUse } from '../../utils/tags';
+import { EMPTY_TOTALS } from '../../utils/totals';
+import { readExpenseTotals } from '../../utils/storage';
+import { findExpense, saveExpense } from '../../utils/expenses';
+import { parseAddLinkParams } from '../../utils/links';
+import { loadCategories, getActiveCategories } from '../../utils/categories';
+import { loadAccounts, getActiveAccounts } from '../../utils/accounts';
+import {
+  getReceiptUri,
+  pickReceiptFiles,
+  takeReceiptPhoto,
+  storeReceipt,
+  deleteReceipts,
+} from '../../utils/receipts';
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY_SETTINGS,
+  loadCurrencySettings,
+  getCurrencySymbol,
+  getExpenseCurrency,
+  formatAmount,
+} from '../../utils/currency';
+import {
+  SELF_NAME,
+  SPLIT_METHODS,
+  getSplitShares,
+  validateSplit,
+} from '../../utils/splits';
+
+const TYPE_ICONS = {
+  [EXPENSE_TYPE]: 'arrow-up-circle-outline',
+  [INCOME_TYPE]: 'arrow-down-circle-outline',
+  [TRANSFER_TYPE]: 'swap-horizontal',
+};
+
+// A new split starts with you and one other person
+const NEW_SPLIT_PEOPLE = [{ name: SELF_NAME, value: '' }, { name: '', value: '' }];
+
+// The "Other" category of the given categories, all of one type
+const getOtherCategory = (typeCategories, type) => {
+  const id = type === INCOME_TYPE ? OTHER_INCOME_CATEGORY_ID : OTHER_CATEGORY_ID;
+  return typeCategories.find(cat => cat.id === id);
+};
+
+// A link that can't be opened is explained and the form closed again
+const rejectLink = (message) => {
+  Alert.alert(t('links.invalidTitle'), message);
+  router.back();
+};
+
+// The add/edit form as a modal route: /add for a new record, optionally
+// prefilled from query params (see utils/links), and /expense/<id> to edit
+// an existing one. It loads what it needs itself and saves on its own.
+const AddExpenseModal = () => {
+  // The link is read once, when the form opens
+  const linkParams = useRef(useLocalSearchParams());
+  // Re-render in the new language when it changes in settings
+  useLocale();
+  const { colors, readableColor } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [type, setType] = useState(EXPENSE_TYPE);
+  const [accountId, setAccountId] = useState(null);
+  const [toAccountId, setToAccountId] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY_SETTINGS.baseCurrency);
+  const [currencyPickerVisible, setCurrencyPickerVisible] = useState(false);
+  const [category, setCategory] = useState('');
+  const [customCategory, setCustomCategory] = useState('');
+  const [date, setDate] = useState('');
+  const [description, setDescription] = useState('');
+  const [tags, setTags] = useState([]);
+  const [frequency, setFrequency] = useState('');
+  const [endDate, setEndDate] = useState('');
+  // { receipt } for images already stored, { uri } for ones picked since opening
+  const [attachments, setAttachments] = useState([]);
+  const [splitEnabled, setSplitEnabled] = useState(false);
+  const [splitMethod, setSplitMethod] = useState('equal');
+  // Share values are kept as typed; they are only used for exact and percent splits
+  const [splitPeople, setSplitPeople] = useState(NEW_SPLIT_PEOPLE);
+  const [paidBy, setPaidBy] = useState(SELF_NAME);
+  const [expense, setExpense] = useState(null);
+  const [totals, setTotals] = useState(EMPTY_TOTALS);
+  const [budgets, setBudgets] = useState(EMPTY_BUDGETS);
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [accounts, setAccounts] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  const isEditing = expense !== null;
+  const isTransfer = type === TRANSFER_TYPE;
+
+  // Only the categories for the chosen type are offered. Their "Other"
+  // category reveals a free-text input for one-off categories.
+  const typeCategories = getCategoriesOfType(categories, type);
+  const otherCategory = getOtherCategory(typeCategories, type);
+  const isOtherSelected = otherCategory !== undefined && category === otherCategory.name;
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      // The dashboard passes the month the expense is in along with its id
+      const { id, month, ...query } = linkParams.current;
+      const [
+        loadedCategories,
+        loadedSettings,
+        loadedTotals,
+        loadedBudgets,
+        loadedAccounts,
+      ] = await Promise.all([
+        loadCategories(),
+        loadCurrencySettings(),
+        readExpenseTotals(),
+        loadBudgets(),
+        loadAccounts(),
+      ]);
+      const activeCategories = getActiveCategories(loadedCategories);
+
+      let loadedExpense = null;
+      let prefill = {};
+      if (id !== undefined) {
+        if (Object.values(query).some(value => value !== undefined)) {
+          rejectLink(t('links.editParams'));
+          return;
+        }
+        loadedExpense = typeof id === 'string'
+          ? await findExpense(id, typeof month === 'string' ? month : null)
+          : null;
+        if (!loadedExpense) {
+          rejectLink(t('links.expenseNotFound'));
+          return;
+        }
+      } else {
+        const result = parseAddLinkParams(query, activeCategories);
+        if (result.error) {
+          rejectLink(result.error);
+          return;
+        }
+        prefill = result.prefill;
+      }
+
+      setCategories(activeCategories);
+      setCurrencySettings(loadedSettings);
+      setTotals(loadedTotals);
+      setBudgets(loadedBudgets);
+      setAccounts(getActiveAccounts(loadedAccounts));
+      setExpense(loadedExpense);
+      // Fill the form from the existing expense, or from the link's params;
+      // new expenses otherwise start out today in the base currency
+      if (loadedExpense) {
+        const expenseType = getTransactionType(loadedExpense);
+        const expenseCategories = getCategoriesOfType(activeCategories, expenseType);
+        const expenseOtherCategory = getOtherCategory(expenseCategories, expenseType);
+        setType(expenseType);
+        setAccountId(loadedExpense.accountId || null);
+        setToAccountId(loadedExpense.toAccountId || null);
+        setAmount(formatDecimalInput(loadedExpense.amount));
+        setCurrency(getExpenseCurrency(loadedExpense));
+        // Categories that aren't in the picker are shown as a custom category
+        if (
+          expenseOtherCategory &&
+          !expenseCategories.some(cat => cat.name === loadedExpense.category)
+        ) {
+          setCategory(expenseOtherCategory.name);
+          setCustomCategory(loadedExpense.category);
+        } else {
+          setCategory(loadedExpense.category);
+        }
+        setDate(loadedExpense.date);
+        setDescription(loadedExpense.description || '');
+        setTags(getExpenseTags(loadedExpense));
+        setAttachments((loadedExpense.receipts || []).map(receipt => ({ receipt })));
+        if (loadedExpense.split) {
+          setSplitEnabled(true);
+          setSplitMethod(loadedExpense.split.method);
+          setSplitPeople(loadedExpense.split.shares.map(share => ({
+            name: share.person,
+            value: share.value === null ? '' : formatDecimalInput(share.value),
+          })));
+          setPaidBy(loadedExpense.split.paidBy);
+        }
+      } else {
+        setType(prefill.type || EXPENSE_TYPE);
+        setAmount(prefill.amount === undefined ? '' : formatDecimalInput(prefill.amount));
+        setCurrency(prefill.currency || loadedSettings.baseCurrency);
+        setCategory(prefill.category || '');
+        setDate(prefill.date || toISODate(new Date()));
+        setDescription(prefill.description || '');
+        setTags(prefill.tags || []);
+      }
+      setLoaded(true);
+    } catch (error) {
+      console.error('Error loading expense form:', error);
+      Alert.alert(t('common.error'), t('addModal.loadFailed'));
+      router.back();
+    }
+  };
+
+  const handleClose = () => {
+    router.back();
+  };
+
+  const handleSave = () => {
+    let finalCategory = isOtherSelected && customCategory.trim()
+      ? customCategory.trim()
+      : category.trim();
+    if (isTransfer) {
+      finalCategory = TRANSFER_CATEGORY;
+    }
+
+    // Validation; the amount may be typed with the locale's decimal separator
+    const amountValue = normalizeDecimalInput(amount);
+    const validationError = validateExpenseFields({ amount: amountValue, category: finalCategory, date });
+    if (validationError) {
+      Alert.alert(t('common.error'), validationError);
+      return;
+    }
+
+    if (isTransfer) {
+      if (!accountId || !toAccountId) {
+        Alert.alert(t('common.error'), t('addModal.chooseAccounts'));
+        return;
+      }
+      if (accountId === toAccountId) {
+        Alert.alert(t('common.error'), t('addModal.differentAccounts'));
+        return;
+      }
+    }
+
+    const numAmount = parseFloat(amountValue);
+
+    // Validate the optional end date of a recurring expense
+    let recurrence = null;
+    if (frequency) {
+      if (endDate && parseDate(endDate) < parseDate(date)) {
+        Alert.alert(t('common.error'), t('addModal.endDateBeforeStart'));
+        return;
+      }
+      recurrence = { frequency, endDate: endDate || null };
+    }
+
+    // Only expenses are split
+    let split = null;
+    if (splitEnabled && type === EXPENSE_TYPE) {
+      split = {
+        method: splitMethod,
+        paidBy,
+        shares: splitPeople.map(person => ({
+          person: person.name.trim(),
+          value: splitMethod === 'equal' ? null : parseFloat(normalizeDecimalInput(person.value)),
+        })),
+      };
+      const splitError = validateSplit(numAmount, split);
+      if (splitError) {
+        Alert.alert(t('common.error'), splitError);
+        return;
+      }
+    }
+
+    const fields = {
+      type,
+      accountId,
+      toAccountId: isTransfer ? toAccountId : null,
+      amount: numAmount,
+      currency,
+      category: finalCategory,
+      date,
+      description: description.trim(),
+      tags,
+      split,
+    };
+
+    // Keep the original id and timestamp when editing
+    const savedExpense = isEditing
+      ? {
+          ...expense,
+          ...fields,
+          updatedAt: new Date().toISOString(),
+        }
+      : {
+          id: Date.now().toString(),
+          ...fields,
+          timestamp: new Date().toISOString(),
+        };
+
+    const commitSave = async () => {
+      // Newly attached images are only copied into storage once the save goes
+      // ahead; repeating expenses don't keep receipts
+      let receipts = [];
+      if (!recurrence) {
+        try {
+          receipts = await Promise.all(attachments.map(attachment =>
+            attachment.receipt || storeReceipt(attachment.uri)
+          ));
+        } catch (error) {
+          console.error('Error saving receipts:', error);
+          Alert.alert(t('common.error'), t('addModal.receiptsFailed'));
+          return;
+        }
+      }
+
+      try {
+        await saveExpense({ ...savedExpense, receipts }, expense, recurrence);
+      } catch (error) {
+        console.error('Error saving expense:', error);
+        Alert.alert(
+          t('common.error'),
+          t(recurrence ? 'addModal.saveRecurringFailed' : 'addModal.saveFailed')
+        );
+        return;
+      }
+
+      // Images removed while editing are no longer referenced anywhere
+      if (isEditing) {
+        deleteReceipts((expense.receipts || []).filter(receipt => !receipts.includes(receipt)))
+          .catch(error => console.error('Error deleting receipts:', error));
+      }
+
+      router.back();
+    };
+
+    // Warn before saving an expense that goes over a monthly budget
+    const overruns = getBudgetOverruns(budgets, totals, savedExpense, currencySettings, expense);
+    if (overruns.length > 0) {
+      Alert.alert(
+        t('addModal.overBudgetTitle'),
+        t('addModal.overBudgetMessage', { overruns: overruns.join('\n') }),
+        [
+          { text: t('common.cancel'), style: 'cancel' },
+          { text: t('addModal.saveAnyway'), onPress: commitSave },
+        ]
+      );
+      return;
+    }
+
+    commitSave();
+  };
+
+  // Categories belong to one type, so switching clears the chosen one
+  const selectType = (value) => {
+    if (value === type) {
+      return;
+    }
+    setType(value);
+    setCategory('');
+    setCustomCategory('');
+  };
+
+  const renderAccountChips = (selectedId, onSelect, allowNone) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+      {allowNone && (
+        <TouchableOpacity
+          style={[styles.currencyChip, selectedId === null && styles.currencyChipSelected]}
+          onPress={() => onSelect(null)}
+        >
+          <Text style={[
+            styles.currencyChipText,
+            selectedId === null && styles.currencyChipTextSelected
+          ]}>
+            {t('common.none')}
+          </Text>
+        </TouchableOpacity>
+      )}
+      {accounts.map((account) => (
+        <TouchableOpacity
+          key={account.id}
+          style={[
+            styles.currencyChip,
+            styles.accountChip,
+            selectedId === account.id && styles.currencyChipSelected
+          ]}
+          onPress={() => onSelect(account.id)}
+        >
+          <Ionicons
+            name={account.icon}
+            size={14}
+            color={selectedId === account.id ? colors.accent : colors.textMuted}
+          />
+          <Text style={[
+            styles.currencyChipText,
+            selectedId === account.id && styles.currencyChipTextSelected
+          ]}>
+            {account.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const selectCategory = (categoryName) => {
+    setCategory(categoryName);
+  };
+
+  const selectCurrency = (code) => {
+    setCurrency(code);
+    setCurrencyPickerVisible(false);
+  };
+
+  const toggleFrequency = (value) => {
+    setFrequency(frequency === value ? '' : value);
+  };
+
+  const addReceiptFiles = async () => {
+    try {
+      const uris = await pickReceiptFiles();
+      setAttachments(prev => [...prev, ...uris.map(uri => ({ uri }))]);
+    } catch (error) {
+      console.error('Error picking receipt:', error);
+      Alert.alert(t('common.error'), t('addModal.attachFailed'));
+    }
+  };
+
+  const addReceiptPhoto = async () => {
+    try {
+      const uri = await takeReceiptPhoto();
+      if (uri) {
+        setAttachments(prev => [...prev, { uri }]);
+      }
+    } catch (error) {
+      console.error('Error taking receipt photo:', error);
+      Alert.alert(t('common.error'), t('addModal.photoFailed'));
+    }
+  };
+
+  const removeAttachment = (index) => {
+    setAttachments(attachments.filter((attachment, itemIndex) => itemIndex !== index));
+  };
+
+  // Renaming whoever paid keeps them selected as the payer
+  const updateSplitPerson = (index, changes) => {
+    const person = splitPeople[index];
+    if (changes.name !== undefined && person.name.trim() === paidBy) {
+      setPaidBy(changes.name.trim());
+    }
+    setSplitPeople(splitPeople.map((item, itemIndex) =>
+      itemIndex === index ? { ...item, ...changes } : item
+    ));
+  };
+
+  const addSplitPerson = () => {
+    setSplitPeople([...splitPeople, { name: '', value: '' }]);
+  };
+
+  const removeSplitPerson = (index) => {
+    setSplitPeople(splitPeople.filter((item, itemIndex) => itemIndex !== index));
+  };
+
+  const setTodayDate = () => {
+    setDate(toISODate(new Date()));
+  };
+
+  const parsedAmount = parseFloat(normalizeDecimalInput(amount));
+  const equalShares = splitMethod === 'equal' && parsedAmount > 0
+    ? getSplitShares(parsedAmount, {
+        method: 'equal',
+        shares: splitPeople.map(person => ({ person: person.name, value: null })),
+      })
+    : null;
+  const payerOptions = [...new Set(splitPeople.map(person => person.name.trim()).filter(Boolean))];
+
+  if (!loaded) {
+    return <View style={styles.modalOverlay} />;
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.modalOverlay}
+    >
+      <View style={styles.modalContainer}>
+        {/* Modal Header */}
+        <View style={styles.modalHeader}>
+          <Text style={styles.modalTitle}>
+            {t(isEditing ? `addModal.editTitle.${type}` : `addModal.addTitle.${type}`)}
+          </Text>
+          <TouchableOpacity
+            style={styles.closeButton}
+            onPress={handleClose}
+          >
+            <Ionicons name="close" size={24} color={colors.textMuted} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView 
+          style={styles.scrollContainer}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.formContainer}>
+            {/* Type Toggle */}
+            <View style={styles.typeToggle}>
+              {TRANSACTION_TYPES.map((item) => (
+                <TouchableOpacity
+                  key={item.value}
+                  style={[
+                    styles.typeOption,
+                    type === item.value && styles.typeOptionSelected
+                  ]}
+                  onPress={() => selectType(item.value)}
+                >
+                  <Ionicons
+                    name={TYPE_ICONS[item.value]}
+                    size={18}
+                    color={type === item.value ? colors.onPrimary : colors.textMuted}
+                  />
+                  <Text style={[
+                    styles.typeOptionText,
+                    type === item.value && styles.typeOptionTextSelected
+                  ]}>
+                    {t(`transactionTypes.${item.value}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Amount Input */}
+            <View style={styles.inputContainer}>
+              <Text style={styles.inputLabel}>
+                {t('addModal.amount')} <Text style={styles.required}>*</Text>
+              </Text>
+              <View style={styles.amountInputContainer}>
+                <Text style={styles.currencySymbol}>{getCurrencySymbol(currency)}</Text>
+                <TextInput
+                  style={styles.amountInput}
+                  placeholder={formatNumber(0, { minimumFractionDigits: 2 })}
+                  value={amount}
+                  onChangeText={setAmount}
+                  keyboardType="decimal-pad"
+                  placeholderTextColor={colors.textFaint}
+                />
+                <TouchableOpacity
+                  style={styles.currencyButton}
+                  onPress={() => setCurrencyPickerVisible(!currencyPickerVisible)}
+                >
+                  <Text style={styles.currencyButtonText}>{currency}</Text>
+                  <Ionicons
+                    name={currencyPickerVisible ? 'chevron-up' : 'chevron-down'}
+                    size={14}
+                    color={colors.accent}
+                  />
+                </TouchableOpacity>
+              </View>
+              {currencyPickerVisible && (
+                <ScrollView
+                  horizontal
+                  showsHorizontalScrollIndicator={false}
+                  style={styles.currencyPicker}
+                >
+                  {CURRENCIES.map((item) => (
+                    <TouchableOpacity
+                      key={item.code}
+                      style={[
+                        styles.currencyChip,
+                        currency === item.code && styles.currencyChipSelected
+                      ]}
+                      onPress={() => selectCurrency(item.code)}
+                    >
+                      <Text style={[
+                        styles.currencyChipText,
+                        currency === item.code && styles.currencyChipTextSelected
+                      ]}>
+                        {item.code}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              )}
+            </View>
+
+            {/* Accounts */}
+            {isTransfer ? (
+              <>
+                <View style={styles.inputContainer}>
+                  <Text style={styles.inputLabel}>
+                    {t('addModal.from')} <Text style={styles.required}>*</Text>
+                  </Text>
+                  {renderAccountChips(accountId, setAccountId, false)}
+                </View>
+                <View style={styles.inputContainer}>
+                  <Text style={styles.inputLabel}>
+                    {t('addModal.to')} <Text style={styles.required}>*</Text>
+                  </Text>
+                  {renderAccountChips(toAccountId, setToAccountId, false)}
+                  {accounts.length < 2 && (
+                    <Text style={styles.hintText}>
+                      {t('addModal.transferHint')}
+                    </Text>
+                  )}
+                </View>
+              </>
+            ) : accounts.length > 0 && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>{t('addModal.account')}</Text>
+                {renderAccountChips(accountId, setAccountId, true)}
+              </View>
+            )}
+
+            {/* Category Selection (transfers have none) */}
+            {!isTransfer && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>
+                  {t('addModal.category')} <Text style={styles.required}>*</Text>
+                </Text>
+                <View style={styles.categoryGrid}>
+                  {typeCategories.map((cat) => (
+                    <TouchableOpacity
+                      key={cat.name}
+                      style={[
+                        styles.categoryButton,
+                        category === cat.name && styles.categoryButtonSelected
+                      ]}
+                      onPress={() => selectCategory(cat.name)}
+                    >
+                      <View style={[styles.categoryIcon, { backgroundColor: readableColor(cat.color) + '20' }]}>
+                        <Ionicons 
+                          name={cat.icon} 
+                          size={20} 
+                          color={readableColor(cat.color)} 
+                        />
+                      </View>
+                      <Text style={[
+                        styles.categoryText,
+                        category === cat.name && styles.categoryTextSelected
+                      ]}>
+                        {cat.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Custom Category Input (if Other is selected) */}
+            {isOtherSelected && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>{t('addModal.customCategory')}</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder={t('addModal.customCategoryPlaceholder')}
+                  value={customCategory}
+                  onChangeText={setCustomCategory}
+                  placeholderTextColor={colors.textFaint}
+                />
+              </View>
+            )}
+
+            {/* Date Input */}
+            <View style={styles.inputContainer}>
+              <Text style={styles.inputLabel}>
+                {t('addModal.date')} <Text style={styles.required}>*</Text>
+              </Text>
+              <View style={styles.dateInputContainer}>
+                <DateField
+                  style={styles.dateInput}
+                  value={date}
+                  onChange={setDate}
+                />
+                <TouchableOpacity
+                  style={styles.todayButton}
+                  onPress={setTodayDate}
+                >
+                  <Text style={styles.todayButtonText}>{t('common.today')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Repeat (new expenses only) */}
+            {!isEditing && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>{t('addModal.repeat')}</Text>
+                <View style={styles.frequencyRow}>
+                  {FREQUENCIES.map((item) => (
+                    <TouchableOpacity
+                      key={item.value}
+                      style={[
+                        styles.frequencyChip,
+                        frequency === item.value && styles.frequencyChipSelected
+                      ]}
+                      onPress={() => toggleFrequency(item.value)}
+                    >
+                      <Text style={[
+                        styles.frequencyChipText,
+                        frequency === item.value && styles.frequencyChipTextSelected
+                      ]}>
+                        {t(`frequencies.${item.value}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {frequency !== '' && (
+                  <DateField
+                    style={styles.endDateInput}
+                    value={endDate}
+                    onChange={setEndDate}
+                    placeholder={t('addModal.endDate')}
+                    minimumDate={date ? parseDate(date) : undefined}
+                    clearable
+                  />
+                )}
+              </View>
+            )}
+
+            {/* Split (expenses only) */}
+            {type === EXPENSE_TYPE && (
+              <View style={styles.inputContainer}>
+                <TouchableOpacity
+                  style={styles.splitToggle}
+                  onPress={() => setSplitEnabled(!splitEnabled)}
+                >
+                  <Ionicons
+                    name={splitEnabled ? 'checkbox' : 'square-outline'}
+                    size={22}
+                    color={colors.accent}
+                  />
+                  <Text style={styles.splitToggleText}>{t('addModal.split')}</Text>
+                </TouchableOpacity>
+                {splitEnabled && (
+                  <View style={styles.splitContainer}>
+                    <View style={styles.frequencyRow}>
+                      {SPLIT_METHODS.map((item) => (
+                        <TouchableOpacity
+                          key={item.value}
+                          style={[
+                            styles.frequencyChip,
+                            splitMethod === item.value && styles.frequencyChipSelected
+                          ]}
+                          onPress={() => setSplitMethod(item.value)}
+                        >
+                          <Text style={[
+                            styles.frequencyChipText,
+                            splitMethod === item.value && styles.frequencyChipTextSelected
+                          ]}>
+                            {t(`splitMethods.${item.value}`)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    {splitPeople.map((person, index) => (
+                      <View key={index} style={styles.splitRow}>
+                        <TextInput
+                          style={[styles.input, styles.splitNameInput]}
+                          placeholder={t('addModal.personName')}
+                          value={person.name}
+                          onChangeText={(name) => updateSplitPerson(index, { name })}
+                          placeholderTextColor={colors.textFaint}
+                        />
+                        {splitMethod === 'equal' ? (
+                          <Text style={styles.splitShareText}>
+                            {equalShares ? formatAmount(equalShares[index].amount, currency) : '—'}
+                          </Text>
+                        ) : (
+                          <TextInput
+                            style={[styles.input, styles.splitValueInput]}
+                            placeholder={splitMethod === 'percent' ? '%' : formatNumber(0, { minimumFractionDigits: 2 })}
+                            value={person.value}
+                            onChangeText={(value) => updateSplitPerson(index, { value })}
+                            keyboardType="decimal-pad"
+                            placeholderTextColor={colors.textFaint}
+                          />
+                        )}
+                        <TouchableOpacity
+                          onPress={() => removeSplitPerson(index)}
+                          disabled={splitPeople.length <= 2}
+                        >
+                          <Ionicons
+                            name="remove-circle-outline"
+                            size={22}
+                            color={splitPeople.length <= 2 ? colors.borderStrong : colors.danger}
+                          />
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                    <TouchableOpacity style={styles.addPersonButton} onPress={addSplitPerson}>
+                      <Ionicons name="person-add-outline" size={16} color={colors.accent} />
+                      <Text style={styles.addPersonText}>{t('addModal.addPerson')}</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.splitLabel}>{t('addModal.paidBy')}</Text>
+                    <View style={styles.payerRow}>
+                      {payerOptions.map((name) => (
+                        <TouchableOpacity
+                          key={name}
+                          style={[
+                            styles.currencyChip,
+                            paidBy === name && styles.currencyChipSelected
+                          ]}
+                          onPress={() => setPaidBy(name)}
+                        >
+                          <Text style={[
+                            styles.currencyChipText,
+                            paidBy === name && styles.currencyChipTextSelected
+                          ]}>
+                            {name}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                )}
+              </View>
+            )}
+
+            {/* Description Input (Optional) */}
+            <View style={styles.inputContainer}>
+              <Text style={styles.inputLabel}>{t('addModal.description')}</Text>
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                placeholder={t(`addModal.notePlaceholder.${type}`)}
+                value={description}
+                onChangeText={setDescription}
+                multiline={true}
+                numberOfLines={3}
+                textAlignVertical="top"
+                placeholderTextColor={colors.textFaint}
+              />
+            </View>
+
+            {/* Tags (Optional) */}
+            <View style={styles.inputContainer}>
+              <Text style={styles.inputLabel}>{t('addModal.tags')}</Text>
+              <TagInput
+                tags={tags}
+                onChange={setTags}
+                tagsInUse={getTagsInUse(totals)}
+                placeholder={t('addModal.tagsPlaceholder')}
+              />
+            </View>
+
+            {/* Receipts (not kept for repeating expenses) */}
+            {frequency === '' && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>{t('addModal.receipts')}</Text>
+                {attachments.length > 0 && (
+                  <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    style={styles.receiptRow}
+                  >
+                    {attachments.map((attachment, index) => (
+                      <View key={index} style={styles.receiptThumbnail}>
+                        <Image
+                          source={{
+                            uri: attachment.receipt
+                              ? getReceiptUri(attachment.receipt)
+                              : attachment.uri,
+                          }}
+                          style={styles.receiptImage}
+                          contentFit="cover"
+                        />
+                        <TouchableOpacity
+                          style={styles.receiptRemove}
+                          onPress={() => removeAttachment(index)}
+                        >
+                          <Ionicons name="close-circle" size={20} color={colors.danger} />
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                  </ScrollView>
+                )}
+                <View style={styles.receiptButtons}>
+                  <TouchableOpacity
+                    style={styles.receiptButton}
+                    onPress={addReceiptFiles}
+                  >
+                    <Ionicons name="image-outline" size={18} color={colors.accent} />
+                    <Text style={styles.receiptButtonText}>{t('addModal.chooseImages')}</Text>
+                  </TouchableOpacity>
+                  {Platform.OS !== 'web' && (
+                    <TouchableOpacity
+                      style={styles.receiptButton}
+                      onPress={addReceiptPhoto}
+                    >
+                      <Ionicons name="camera-outline" size={18} color={colors.accent} />
+                      <Text style={styles.receiptButtonText}>{t('addModal.takePhoto')}</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            )}
+          </View>
+        </ScrollView>
+
+        {/* Action Buttons */}
+        <View style={styles.buttonContainer}>
+          <TouchableOpacity
+            style={styles.cancelButton}
+            onPress={handleClose}
+          >
+            <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={styles.saveButton}
+            onPress={handleSave}
+          >
+            <Ionicons name="checkmark" size={20} color={colors.onPrimary} />
+            <Text style={styles.saveButtonText}>
+              {t(isEditing ? `addModal.update.${type}` : `addModal.save.${type}`)}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+    minHeight: '60%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  scrollContainer: {
+    flex: 1,
+  },
+  formContainer: {
+    padding: 20,
+  },
+  hintText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 6,
+  },
+  typeToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 24,
+  },
+  typeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 10,
+    gap: 6,
+  },
+  typeOptionSelected: {
+    backgroundColor: colors.primary,
+  },
+  typeOptionText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.textMuted,
+  },
+  typeOptionTextSelected: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  inputContainer: {
+    marginBottom: 24,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  required: {
+    color: colors.danger,
+    fontSize: 14,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: colors.text,
+    backgroundColor: colors.surface,
+  },
+  amountInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 12,
+    backgroundColor: colors.surface,
+  },
+  currencySymbol: {
+    fontSize: 18,
+    fontWeight: '500',
+    color: colors.accent,
+    paddingLeft: 16,
+    paddingRight: 4,
+  },
+  amountInput: {
+    flex: 1,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: colors.text,
+  },
+  currencyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    gap: 4,
+  },
+  currencyButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.accent,
+  },
+  currencyPicker: {
+    marginTop: 8,
+  },
+  currencyChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    marginRight: 8,
+  },
+  accountChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  currencyChipSelected: {
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+  },
+  currencyChipText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    fontWeight: '500',
+  },
+  currencyChipTextSelected: {
+    color: colors.accent,
+    fontWeight: '600',
+  },
+  categoryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  categoryButton: {
+    width: '23%',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    marginBottom: 8,
+  },
+  categoryButtonSelected: {
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+  },
+  categoryIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  categoryText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    fontWeight: '500',
+  },
+  categoryTextSelected: {
+    color: colors.accent,
+    fontWeight: '600',
+  },
+  dateInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dateInput: {
+    flex: 1,
+    marginRight: 12,
+  },
+  todayButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  todayButtonText: {
+    color: colors.onPrimary,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  frequencyRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  frequencyChip: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  frequencyChipSelected: {
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+  },
+  frequencyChipText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    fontWeight: '500',
+  },
+  frequencyChipTextSelected: {
+    color: colors.accent,
+    fontWeight: '600',
+  },
+  endDateInput: {
+    marginTop: 12,
+  },
+  splitToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  splitToggleText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
+  splitContainer: {
+    marginTop: 12,
+    gap: 10,
+  },
+  splitRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  splitNameInput: {
+    flex: 1,
+  },
+  splitValueInput: {
+    width: 96,
+  },
+  splitShareText: {
+    width: 96,
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.textMuted,
+    textAlign: 'right',
+  },
+  addPersonButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+  },
+  addPersonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.accent,
+  },
+  splitLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
+  payerRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 8,
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  receiptRow: {
+    marginBottom: 12,
+  },
+  receiptThumbnail: {
+    marginRight: 12,
+    paddingTop: 6,
+    paddingRight: 6,
+  },
+  receiptImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 12,
+    backgroundColor: colors.surfaceMuted,
+  },
+  receiptRemove: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+  },
+  receiptButtons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  receiptButton: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+    gap: 6,
+  },
+  receiptButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.accent,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: colors.surfaceMuted,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+  },
+  cancelButtonText: {
+    color: colors.textMuted,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  saveButton: {
+    flex: 2,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    backgroundColor: colors.primary,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AddExpenseModal;
\ No newline at end of file
@@ -0,0 +1,3 @@
+// Links to a single record, e.g. lc-corporate://expense/1718000000000, open
+// it in the add/edit form, which reads the id from the route params
+export { default } from '../add';
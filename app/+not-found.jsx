@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import { router, usePathname } from 'expo-router';
+import useTheme from '../hooks/useTheme';
+import { t } from '../utils/i18n';
+
+// Links to a path the app has no screen for (e.g. lc-corporate://budgets)
+// are rejected the same way as an add link with bad params
+const NotFoundScreen = () => {
+  const path = useRef(usePathname());
+  const { colors } = useTheme();
+
+  useEffect(() => {
+    Alert.alert(t('links.invalidTitle'), t('links.unknownPage', { path: path.current }));
+    router.back();
+  }, []);
+
+  return <View style={[styles.container, { backgroundColor: colors.background }]} />;
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
+
+export default NotFoundScreen;
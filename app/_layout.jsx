@@ -1,5 +1,65 @@
+import { useState, useEffect } from "react";
+import { View, StyleSheet } from "react-native";
 import { Stack } from "expo-router";
+import LockScreen from "../components/LockScreen";
+import useAppLock from "../hooks/useAppLock";
+import useTheme from "../hooks/useTheme";
+import { loadLanguage, applyLanguage } from "../utils/i18n";
+import { loadTheme, applyTheme } from "../utils/theme";
+
+// Deep links (e.g. lc-corporate://add) open on top of the dashboard, so
+// closing them always has somewhere to go back to
+export const unstable_settings = {
+  initialRouteName: "index",
+};
+
+// The add/edit form slides up over the screen it was opened from. It is
+// contained in the navigator rather than a native modal over the whole app,
+// so the lock screen still covers it.
+const FORM_OPTIONS = {
+  presentation: "containedTransparentModal",
+  animation: "slide_from_bottom",
+};
 
 export default function RootLayout() {
-  return <Stack screenOptions={{headerShown: false}} />;
+  const { locked, unlock } = useAppLock();
+  const { colors } = useTheme();
+  // Remounting the navigator after a reset makes every screen reload its data
+  const [resetCount, setResetCount] = useState(0);
+
+  // The device language and appearance are used until the saved settings
+  // have loaded
+  useEffect(() => {
+    loadLanguage()
+      .then(applyLanguage)
+      .catch(error => console.error("Error loading language:", error));
+    loadTheme()
+      .then(applyTheme)
+      .catch(error => console.error("Error loading theme:", error));
+  }, [resetCount]);
+
+  const handleReset = () => {
+    setResetCount(count => count + 1);
+    unlock();
+  };
+
+  return (
+    <View style={styles.container}>
+      <Stack key={resetCount} screenOptions={{headerShown: false}}>
+        <Stack.Screen name="(model)/add" options={FORM_OPTIONS} />
+        <Stack.Screen name="(model)/expense/[id]" options={FORM_OPTIONS} />
+      </Stack>
+      {locked === null && <View style={[styles.cover, { backgroundColor: colors.background }]} />}
+      {locked && <LockScreen onUnlock={unlock} onReset={handleReset} />}
+    </View>
+  );
 }
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  cover: {
+    ...StyleSheet.absoluteFillObject,
+  },
+});
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import AccountModal from '../components/AccountModal';
+import { DEFAULT_CURRENCY_SETTINGS, loadCurrencySettings } from '../utils/currency';
+import { readExpenseTotals } from '../utils/storage';
+import { EMPTY_TOTALS } from '../utils/totals';
+import {
+  loadAccounts,
+  saveAccounts,
+  getAccountBalances,
+  formatBalance,
+} from '../utils/accounts';
+
+const AccountsScreen = () => {
+  const router = useRouter();
+  const [accounts, setAccounts] = useState([]);
+  const [totals, setTotals] = useState(EMPTY_TOTALS);
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [storedAccounts, storedTotals, storedCurrencySettings] = await Promise.all([
+        loadAccounts(),
+        readExpenseTotals(),
+        loadCurrencySettings(),
+      ]);
+      setAccounts(storedAccounts);
+      setTotals(storedTotals);
+      setCurrencySettings(storedCurrencySettings);
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+      Alert.alert('Error', 'Failed to load accounts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const persistAccounts = async (updatedAccounts) => {
+    setAccounts(updatedAccounts);
+    try {
+      await saveAccounts(updatedAccounts);
+    } catch (error) {
+      console.error('Error saving accounts:', error);
+      Alert.alert('Error', 'Failed to save accounts');
+    }
+  };
+
+  const openAddModal = () => {
+    setEditingAccount(null);
+    setModalVisible(true);
+  };
+
+  const openEditModal = (account) => {
+    setEditingAccount(account);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setEditingAccount(null);
+  };
+
+  const handleSaveAccount = (fields) => {
+    persistAccounts(editingAccount
+      ? accounts.map(account =>
+          account.id === editingAccount.id ? { ...account, ...fields } : account
+        )
+      : [...accounts, { id: Date.now().toString(), ...fields, archived: false }]);
+  };
+
+  // Accounts are archived rather than deleted so past records keep their account
+  const toggleArchived = (id) => {
+    persistAccounts(accounts.map(account =>
+      account.id === id ? { ...account, archived: !account.archived } : account
+    ));
+  };
+
+  const balances = getAccountBalances(accounts, totals, currencySettings);
+
+  const renderAccount = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.accountCard, item.archived && styles.accountCardArchived]}
+      activeOpacity={0.7}
+      onPress={() => openEditModal(item)}
+    >
+      <View style={styles.iconContainer}>
+        <Ionicons name={item.icon} size={20} color="#4F46E5" />
+      </View>
+      <View style={styles.accountInfo}>
+        <Text style={styles.accountName}>{item.name}</Text>
+        <Text style={styles.metaText}>
+          Opened with {formatBalance(item.openingBalance, item.currency)}
+          {item.archived ? ' · Archived' : ''}
+        </Text>
+      </View>
+      <Text style={[styles.balanceText, balances[item.id] < 0 && styles.balanceNegative]}>
+        {formatBalance(balances[item.id], item.currency)}
+      </Text>
+      <TouchableOpacity
+        style={styles.actionButton}
+        onPress={() => toggleArchived(item.id)}
+      >
+        <Ionicons
+          name={item.archived ? 'arrow-undo-outline' : 'archive-outline'}
+          size={18}
+          color="#6B7280"
+        />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  const EmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="wallet-outline" size={80} color="#D1D5DB" />
+      <Text style={styles.emptyTitle}>No accounts yet</Text>
+      <Text style={styles.emptySubtitle}>
+        Add the cards, bank accounts and cash you pay with to track their balances
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Accounts</Text>
+        <TouchableOpacity
+          style={[styles.headerButton, styles.headerButtonRight]}
+          onPress={openAddModal}
+        >
+          <Ionicons name="add" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+      </View>
+
+      {!loading && (
+        <FlatList
+          data={accounts}
+          renderItem={renderAccount}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={accounts.length === 0 ? styles.emptyList : styles.list}
+          ListEmptyComponent={EmptyState}
+          ListFooterComponent={accounts.length > 0 ? (
+            <Text style={styles.footerText}>
+              Archived accounts can&apos;t be picked for new records but keep their history.
+            </Text>
+          ) : null}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+
+      <AccountModal
+        visible={modalVisible}
+        onClose={closeModal}
+        onSave={handleSaveAccount}
+        account={editingAccount}
+        accounts={accounts}
+        baseCurrency={currencySettings.baseCurrency}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerButtonRight: {
+    marginLeft: 'auto',
+  },
+  list: {
+    padding: 20,
+  },
+  emptyList: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  accountCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 12,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  accountCardArchived: {
+    opacity: 0.6,
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  accountInfo: {
+    flex: 1,
+  },
+  accountName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  balanceText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginHorizontal: 8,
+  },
+  balanceNegative: {
+    color: '#EF4444',
+  },
+  actionButton: {
+    padding: 6,
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 24,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  emptySubtitle: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default AccountsScreen;
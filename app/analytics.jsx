@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import useCategories from '../hooks/useCategories';
+import { readExpenseTotals } from '../utils/storage';
+import { EMPTY_TOTALS } from '../utils/totals';
+import {
+  DEFAULT_CURRENCY_SETTINGS,
+  loadCurrencySettings,
+  formatAmount,
+} from '../utils/currency';
+import {
+  loadFilters,
+  saveFilters,
+  getCategoryFilters,
+  getTagFilters,
+  getMonthFilters,
+} from '../utils/filters';
+import {
+  PERIODS,
+  getPeriodRange,
+  getCategoryBreakdown,
+  getTagTotals,
+  getMonthlyTotals,
+  getAverageDailySpend,
+} from '../utils/analytics';
+
+const CHART_HEIGHT = 140;
+
+const AnalyticsScreen = () => {
+  const router = useRouter();
+  const { getCategoryIcon, getCategoryColor } = useCategories();
+  const [totals, setTotals] = useState(EMPTY_TOTALS);
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [period, setPeriod] = useState('month');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      // Everything here comes from the ledger totals; income and transfers
+      // aren't counted as spending
+      setTotals(await readExpenseTotals());
+      setCurrencySettings(await loadCurrencySettings());
+    } catch (error) {
+      console.error('Error loading analytics:', error);
+      Alert.alert('Error', 'Failed to load expenses');
+    }
+  };
+
+  // Save the filters and go back so the dashboard list opens filtered
+  const openFilteredList = async (getFilters) => {
+    try {
+      const filters = await loadFilters();
+      await saveFilters(getFilters(filters));
+      router.navigate('/');
+    } catch (error) {
+      console.error('Error applying filters:', error);
+      Alert.alert('Error', 'Failed to open the filtered list');
+    }
+  };
+
+  const openCategory = (category) => {
+    const range = getPeriodRange(period);
+    openFilteredList(filters => getCategoryFilters(filters, category, range.from, range.to));
+  };
+
+  const openTag = (tag) => {
+    const range = getPeriodRange(period);
+    openFilteredList(filters => getTagFilters(filters, tag, range.from, range.to));
+  };
+
+  const openMonth = (year, month) => {
+    openFilteredList(filters => getMonthFilters(filters, year, month));
+  };
+
+  const formatBaseAmount = (amount) => formatAmount(amount, currencySettings.baseCurrency);
+
+  const range = getPeriodRange(period);
+  const breakdown = getCategoryBreakdown(totals, range, currencySettings);
+  const tagTotals = getTagTotals(totals, range, currencySettings);
+  const monthlyTotals = getMonthlyTotals(totals, currencySettings);
+  const maxMonthlyTotal = Math.max(...monthlyTotals.map(item => item.total), 0);
+  const averageDaily = getAverageDailySpend(totals, range, currencySettings);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Analytics</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Period */}
+        <View style={styles.periodRow}>
+          {PERIODS.map((item) => (
+            <TouchableOpacity
+              key={item.value}
+              style={[styles.chip, period === item.value && styles.chipSelected]}
+              onPress={() => setPeriod(item.value)}
+            >
+              <Text style={[styles.chipText, period === item.value && styles.chipTextSelected]}>
+                {item.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Average Daily Spend */}
+        <View style={styles.statCard}>
+          <Text style={styles.statLabel}>Average Daily Spend</Text>
+          <Text style={styles.statAmount}>{formatBaseAmount(averageDaily)}</Text>
+        </View>
+
+        {/* Category Breakdown */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Spending by Category</Text>
+          {breakdown.length === 0 ? (
+            <Text style={styles.emptyText}>No expenses in this period</Text>
+          ) : (
+            <>
+              <View style={styles.stackedBar}>
+                {breakdown.map((item) => (
+                  <TouchableOpacity
+                    key={item.category}
+                    style={{ flex: item.share, backgroundColor: getCategoryColor(item.category) }}
+                    onPress={() => openCategory(item.category)}
+                  />
+                ))}
+              </View>
+              {breakdown.map((item) => {
+                const categoryColor = getCategoryColor(item.category);
+                return (
+                  <TouchableOpacity
+                    key={item.category}
+                    style={styles.legendRow}
+                    onPress={() => openCategory(item.category)}
+                  >
+                    <View style={[styles.iconContainer, { backgroundColor: categoryColor + '20' }]}>
+                      <Ionicons
+                        name={getCategoryIcon(item.category)}
+                        size={16}
+                        color={categoryColor}
+                      />
+                    </View>
+                    <Text style={styles.legendLabel}>{item.category}</Text>
+                    <Text style={styles.legendShare}>{Math.round(item.share * 100)}%</Text>
+                    <Text style={styles.legendAmount}>{formatBaseAmount(item.amount)}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </>
+          )}
+        </View>
+
+        {/* Tag Totals */}
+        {tagTotals.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Spending by Tag</Text>
+            {tagTotals.map((item) => (
+              <TouchableOpacity
+                key={item.tag}
+                style={styles.legendRow}
+                onPress={() => openTag(item.tag)}
+              >
+                <View style={[styles.iconContainer, styles.tagIconContainer]}>
+                  <Ionicons name="pricetag-outline" size={16} color="#4F46E5" />
+                </View>
+                <Text style={styles.legendLabel}>#{item.tag}</Text>
+                <Text style={styles.legendShare}>{item.count}×</Text>
+                <Text style={styles.legendAmount}>{formatBaseAmount(item.amount)}</Text>
+              </TouchableOpacity>
+            ))}
+            <Text style={styles.hintText}>
+              Expenses with several tags count towards each of them.
+            </Text>
+          </View>
+        )}
+
+        {/* Monthly Totals */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Last 12 Months</Text>
+          <View style={styles.barChart}>
+            {monthlyTotals.map((item) => (
+              <TouchableOpacity
+                key={`${item.year}-${item.month}`}
+                style={styles.barColumn}
+                onPress={() => openMonth(item.year, item.month)}
+              >
+                <View style={styles.barTrack}>
+                  <View
+                    style={[
+                      styles.bar,
+                      { height: maxMonthlyTotal > 0 ? (item.total / maxMonthlyTotal) * CHART_HEIGHT : 0 },
+                    ]}
+                  />
+                </View>
+                <Text style={styles.barLabel}>{item.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hintText}>
+            Highest month: {formatBaseAmount(maxMonthlyTotal)}. Tap a bar to see its expenses.
+          </Text>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  periodRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  chipSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  statCard: {
+    backgroundColor: '#4F46E5',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    borderRadius: 16,
+  },
+  statLabel: {
+    fontSize: 14,
+    color: '#C7D2FE',
+    marginBottom: 4,
+  },
+  statAmount: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  stackedBar: {
+    flexDirection: 'row',
+    height: 24,
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  iconContainer: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  tagIconContainer: {
+    backgroundColor: '#EEF2FF',
+  },
+  legendLabel: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  legendShare: {
+    width: 48,
+    fontSize: 13,
+    color: '#6B7280',
+    textAlign: 'right',
+    marginRight: 12,
+  },
+  legendAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  barChart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 4,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  barTrack: {
+    height: CHART_HEIGHT,
+    width: '100%',
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    width: '100%',
+    borderTopLeftRadius: 4,
+    borderTopRightRadius: 4,
+    backgroundColor: '#4F46E5',
+  },
+  barLabel: {
+    fontSize: 10,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 12,
+  },
+});
+
+export default AnalyticsScreen;
@@ -0,0 +1,438 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  validatePassphrase,
+  createBackup,
+  openBackup,
+  summarizeBackup,
+  restoreReplaceAll,
+  restoreMerge,
+} from '../utils/backup';
+import { shareTextFile, pickTextFile } from '../utils/files';
+import { formatDisplayDate, toISODate } from '../utils/dates';
+
+const BACKUP_MIME_TYPES = ['application/json', 'text/plain', 'application/octet-stream'];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const BackupScreen = () => {
+  const router = useRouter();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [backupFile, setBackupFile] = useState(null);
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [backup, setBackup] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleCreate = async () => {
+    const error = validatePassphrase(passphrase, confirmation);
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const contents = await createBackup(passphrase);
+      const today = toISODate(new Date());
+      await shareTextFile(`expense-backup-${today}.json`, contents, 'application/json');
+      setPassphrase('');
+      setConfirmation('');
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      Alert.alert('Error', 'Failed to create backup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const file = await pickTextFile(BACKUP_MIME_TYPES);
+      if (file) {
+        setBackupFile(file);
+        setBackup(null);
+        setRestorePassphrase('');
+      }
+    } catch (error) {
+      console.error('Error reading backup file:', error);
+      Alert.alert('Error', 'Failed to read the backup file');
+    }
+  };
+
+  const handleUnlock = async () => {
+    try {
+      setBusy(true);
+      const result = await openBackup(backupFile.contents, restorePassphrase);
+      if (result.error) {
+        Alert.alert('Error', result.error);
+        return;
+      }
+      setBackup(result.backup);
+    } catch (error) {
+      console.error('Error opening backup:', error);
+      Alert.alert('Error', 'Failed to open the backup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const finishRestore = (message) => {
+    setBackupFile(null);
+    setBackup(null);
+    setRestorePassphrase('');
+    Alert.alert('Restore Complete', message, [
+      { text: 'OK', onPress: () => router.dismissAll() },
+    ]);
+  };
+
+  const runRestore = async (restore) => {
+    try {
+      setBusy(true);
+      finishRestore(await restore());
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert('Error', 'Failed to restore backup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleMerge = () =>
+    runRestore(async () => {
+      const added = await restoreMerge(backup);
+      return `Added ${plural(added, 'expense')} from the backup.`;
+    });
+
+  const confirmReplaceAll = () => {
+    Alert.alert(
+      'Replace All Data',
+      'Everything on this device will be replaced by the backup. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () =>
+            runRestore(async () => {
+              await restoreReplaceAll(backup);
+              return 'Your data has been replaced by the backup.';
+            }),
+        },
+      ]
+    );
+  };
+
+  const renderSummary = () => {
+    const summary = summarizeBackup(backup);
+    const rows = [
+      ['Created', summary.createdAt ? formatDisplayDate(toISODate(new Date(summary.createdAt))) : '—'],
+      ['Expenses', String(summary.expenses)],
+      [
+        'Dates',
+        summary.firstDate
+          ? `${formatDisplayDate(summary.firstDate)} – ${formatDisplayDate(summary.lastDate)}`
+          : '—',
+      ],
+      ['Categories', String(summary.categories)],
+      ['Accounts', String(summary.accounts)],
+      ['Recurring', String(summary.recurringRules)],
+      ['In trash', String(summary.trash)],
+      ['Settings', summary.hasSettings ? 'Included' : 'None'],
+    ];
+
+    return (
+      <View style={styles.summaryContainer}>
+        <Text style={styles.sectionTitle}>This backup contains</Text>
+        {rows.map(([label, value]) => (
+          <View key={label} style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{label}</Text>
+            <Text style={styles.summaryValue}>{value}</Text>
+          </View>
+        ))}
+        <Text style={styles.cardText}>
+          Merge adds expenses, categories, accounts and rules whose id is not on this device yet
+          and keeps everything already here. Replace All wipes this device first.
+        </Text>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.secondaryButton, styles.rowButton]}
+            onPress={handleMerge}
+            disabled={busy}
+          >
+            <Ionicons name="git-merge-outline" size={20} color="#4F46E5" />
+            <Text style={styles.secondaryButtonText}>Merge by ID</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.dangerButton, styles.rowButton]}
+            onPress={confirmReplaceAll}
+            disabled={busy}
+          >
+            <Ionicons name="refresh" size={20} color="#FFFFFF" />
+            <Text style={styles.primaryButtonText}>Replace All</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Backup & Restore</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Backup */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Backup</Text>
+          <Text style={styles.cardText}>
+            Save all expenses, categories, accounts and settings to one encrypted file. Receipt
+            photos are not included. There is no way to open the file without the passphrase.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TextInput
+            style={styles.input}
+            value={confirmation}
+            onChangeText={setConfirmation}
+            placeholder="Repeat passphrase"
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleCreate}
+            disabled={busy}
+          >
+            <Ionicons name="lock-closed-outline" size={20} color="#FFFFFF" />
+            <Text style={styles.primaryButtonText}>Create Backup</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Restore */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Restore</Text>
+          <Text style={styles.cardText}>
+            Choose a backup file and enter its passphrase to see what it contains before restoring.
+          </Text>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handlePickFile}
+            disabled={busy}
+          >
+            <Ionicons name="document-outline" size={20} color="#4F46E5" />
+            <Text style={styles.secondaryButtonText}>
+              {backupFile ? backupFile.name : 'Choose Backup File'}
+            </Text>
+          </TouchableOpacity>
+
+          {backupFile && !backup && (
+            <View style={styles.unlockContainer}>
+              <TextInput
+                style={styles.input}
+                value={restorePassphrase}
+                onChangeText={setRestorePassphrase}
+                placeholder="Passphrase"
+                placeholderTextColor="#9CA3AF"
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={handleUnlock}
+                disabled={busy || !restorePassphrase}
+              >
+                <Ionicons name="lock-open-outline" size={20} color="#FFFFFF" />
+                <Text style={styles.primaryButtonText}>Unlock</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {backup && renderSummary()}
+        </View>
+
+        {busy && <ActivityIndicator color="#4F46E5" />}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#4F46E5',
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#EEF2FF',
+    gap: 8,
+  },
+  secondaryButtonText: {
+    color: '#4F46E5',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  dangerButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#EF4444',
+    gap: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowButton: {
+    flex: 1,
+  },
+  unlockContainer: {
+    marginTop: 16,
+  },
+  summaryContainer: {
+    marginTop: 20,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  summaryValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+});
+
+export default BackupScreen;
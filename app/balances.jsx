@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import SettlementModal from '../components/SettlementModal';
+import { DEFAULT_CURRENCY_SETTINGS, formatAmount, loadCurrencySettings } from '../utils/currency';
+import { formatDisplayDate, toISODate } from '../utils/dates';
+import { readExpenses } from '../utils/storage';
+import {
+  SELF_NAME,
+  loadSettlements,
+  saveSettlements,
+  getBalances,
+  getSettlementSuggestions,
+  describePayment,
+} from '../utils/splits';
+
+// Everyone who appears on a split expense, with the app user first
+const getPeople = (expenses) => {
+  const people = new Set([SELF_NAME]);
+  expenses
+    .filter(expense => expense.split)
+    .forEach(expense => {
+      expense.split.shares.forEach(share => people.add(share.person));
+    });
+  return [...people];
+};
+
+const BalancesScreen = () => {
+  const router = useRouter();
+  const [expenses, setExpenses] = useState([]);
+  const [settlements, setSettlements] = useState([]);
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [settlementModalVisible, setSettlementModalVisible] = useState(false);
+  const [selectedPayment, setSelectedPayment] = useState(null);
+
+  const { baseCurrency } = currencySettings;
+  const balances = getBalances(expenses, settlements, currencySettings);
+  const suggestions = getSettlementSuggestions(balances);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [storedExpenses, storedSettlements, storedCurrencySettings] = await Promise.all([
+        readExpenses(),
+        loadSettlements(),
+        loadCurrencySettings(),
+      ]);
+      setExpenses(storedExpenses);
+      setSettlements(storedSettlements);
+      setCurrencySettings(storedCurrencySettings);
+    } catch (error) {
+      console.error('Error loading balances:', error);
+      Alert.alert('Error', 'Failed to load balances');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openSettlementModal = (payment = null) => {
+    setSelectedPayment(payment);
+    setSettlementModalVisible(true);
+  };
+
+  const recordSettlement = async ({ from, to, amount }) => {
+    const now = new Date();
+    const settlement = {
+      id: Date.now().toString(),
+      from,
+      to,
+      amount,
+      currency: baseCurrency,
+      date: toISODate(now),
+      timestamp: now.toISOString(),
+    };
+
+    try {
+      const updatedSettlements = [settlement, ...settlements];
+      await saveSettlements(updatedSettlements);
+      setSettlements(updatedSettlements);
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      Alert.alert('Error', 'Failed to record payment');
+    }
+  };
+
+  const deleteSettlement = async (id) => {
+    try {
+      const updatedSettlements = settlements.filter(settlement => settlement.id !== id);
+      await saveSettlements(updatedSettlements);
+      setSettlements(updatedSettlements);
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      Alert.alert('Error', 'Failed to delete payment');
+    }
+  };
+
+  const confirmDeleteSettlement = (settlement) => {
+    Alert.alert(
+      'Delete Payment',
+      `Delete the payment from ${settlement.from} to ${settlement.to}? The balances will go back to what they were before it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => deleteSettlement(settlement.id) },
+      ]
+    );
+  };
+
+  const getBalanceText = ({ person, amount }) => {
+    const formatted = formatAmount(Math.abs(amount), baseCurrency);
+    if (person === SELF_NAME) {
+      return amount > 0 ? `You are owed ${formatted}` : `You owe ${formatted}`;
+    }
+    return amount > 0 ? `Is owed ${formatted}` : `Owes ${formatted}`;
+  };
+
+  const EmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="people-outline" size={80} color="#D1D5DB" />
+      <Text style={styles.emptyTitle}>All settled up</Text>
+      <Text style={styles.emptySubtitle}>
+        Split an expense with others and you&apos;ll see who owes whom here
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Balances</Text>
+        <TouchableOpacity
+          style={styles.headerLink}
+          onPress={() => openSettlementModal()}
+        >
+          <Text style={styles.headerLinkText}>Record</Text>
+        </TouchableOpacity>
+      </View>
+
+      {!loading && (
+        <ScrollView
+          contentContainerStyle={balances.length === 0 && settlements.length === 0
+            ? styles.emptyList
+            : styles.list}
+          showsVerticalScrollIndicator={false}
+        >
+          {balances.length === 0 && settlements.length === 0 ? (
+            <EmptyState />
+          ) : (
+            <>
+              {/* Settle Up */}
+              {suggestions.length > 0 && (
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Settle Up</Text>
+                  <Text style={styles.cardSubtitle}>
+                    {suggestions.length === 1
+                      ? '1 payment settles everything'
+                      : `${suggestions.length} payments settle everything`}
+                  </Text>
+                  {suggestions.map((payment) => (
+                    <View key={`${payment.from}-${payment.to}`} style={styles.row}>
+                      <View style={styles.rowInfo}>
+                        <Text style={styles.rowTitle}>{describePayment(payment)}</Text>
+                        <Text style={styles.rowAmount}>
+                          {formatAmount(payment.amount, baseCurrency)}
+                        </Text>
+                      </View>
+                      <TouchableOpacity
+                        style={styles.recordButton}
+                        onPress={() => openSettlementModal(payment)}
+                      >
+                        <Text style={styles.recordButtonText}>Record</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              )}
+
+              {/* Balances */}
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Balances</Text>
+                {balances.length === 0 ? (
+                  <Text style={styles.cardSubtitle}>Everyone is settled up</Text>
+                ) : (
+                  balances.map((balance) => (
+                    <View key={balance.person} style={styles.row}>
+                      <Text style={[styles.rowTitle, styles.rowInfo]}>{balance.person}</Text>
+                      <Text style={[
+                        styles.balanceText,
+                        balance.amount > 0 ? styles.balanceOwed : styles.balanceOwes
+                      ]}>
+                        {getBalanceText(balance)}
+                      </Text>
+                    </View>
+                  ))
+                )}
+              </View>
+
+              {/* Payments */}
+              {settlements.length > 0 && (
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Payments</Text>
+                  {settlements.map((settlement) => (
+                    <View key={settlement.id} style={styles.row}>
+                      <View style={styles.rowInfo}>
+                        <Text style={styles.rowTitle}>
+                          {settlement.from} paid {settlement.to}
+                        </Text>
+                        <Text style={styles.rowDetail}>
+                          {formatAmount(settlement.amount, settlement.currency)} · {formatDisplayDate(settlement.date)}
+                        </Text>
+                      </View>
+                      <TouchableOpacity
+                        style={styles.actionButton}
+                        onPress={() => confirmDeleteSettlement(settlement)}
+                      >
+                        <Ionicons name="trash-outline" size={18} color="#EF4444" />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              )}
+            </>
+          )}
+        </ScrollView>
+      )}
+
+      <SettlementModal
+        visible={settlementModalVisible}
+        onClose={() => setSettlementModalVisible(false)}
+        onSave={recordSettlement}
+        people={getPeople(expenses)}
+        payment={selectedPayment}
+        baseCurrency={baseCurrency}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerLink: {
+    marginLeft: 'auto',
+  },
+  headerLinkText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4F46E5',
+  },
+  list: {
+    padding: 20,
+  },
+  emptyList: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  rowAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4F46E5',
+    marginTop: 2,
+  },
+  rowDetail: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  recordButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#EEF2FF',
+  },
+  recordButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4F46E5',
+  },
+  balanceText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  balanceOwed: {
+    color: '#10B981',
+  },
+  balanceOwes: {
+    color: '#EF4444',
+  },
+  actionButton: {
+    padding: 4,
+    borderRadius: 6,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 24,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  emptySubtitle: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default BalancesScreen;
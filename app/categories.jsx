@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import CategoryModal from '../components/CategoryModal';
+import { DEFAULT_CATEGORIES } from '../constants/categories';
+import { isIncome } from '../constants/transactions';
+import {
+  loadCategories,
+  saveCategories,
+  updateCategory,
+} from '../utils/categories';
+
+const CategoriesScreen = () => {
+  const router = useRouter();
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setCategories(await loadCategories());
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      Alert.alert('Error', 'Failed to load categories');
+    }
+  };
+
+  const persistCategories = async (updatedCategories) => {
+    setCategories(updatedCategories);
+    try {
+      await saveCategories(updatedCategories);
+    } catch (error) {
+      console.error('Error saving categories:', error);
+      Alert.alert('Error', 'Failed to save categories');
+    }
+  };
+
+  const openAddModal = () => {
+    setEditingCategory(null);
+    setModalVisible(true);
+  };
+
+  const openEditModal = (category) => {
+    setEditingCategory(category);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setEditingCategory(null);
+  };
+
+  const handleSaveCategory = async (fields) => {
+    if (!editingCategory) {
+      persistCategories([
+        ...categories,
+        { id: Date.now().toString(), ...fields, archived: false },
+      ]);
+      return;
+    }
+
+    try {
+      setCategories(await updateCategory(categories, editingCategory.id, fields));
+    } catch (error) {
+      console.error('Error updating category:', error);
+      Alert.alert('Error', 'Failed to update category');
+    }
+  };
+
+  const moveCategory = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= categories.length) {
+      return;
+    }
+    const reordered = [...categories];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    persistCategories(reordered);
+  };
+
+  const toggleArchived = (id) => {
+    persistCategories(categories.map(category =>
+      category.id === id ? { ...category, archived: !category.archived } : category
+    ));
+  };
+
+  const renderCategory = ({ item, index }) => (
+    <TouchableOpacity
+      style={[styles.categoryCard, item.archived && styles.categoryCardArchived]}
+      activeOpacity={0.7}
+      onPress={() => openEditModal(item)}
+    >
+      <View style={[styles.iconContainer, { backgroundColor: item.color + '20' }]}>
+        <Ionicons name={item.icon} size={20} color={item.color} />
+      </View>
+      <View style={styles.categoryInfo}>
+        <Text style={styles.categoryText}>{item.name}</Text>
+        <Text style={styles.metaText}>
+          {isIncome(item) ? 'Income' : 'Expense'}{item.archived ? ' · Archived' : ''}
+        </Text>
+      </View>
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => moveCategory(index, -1)}
+          disabled={index === 0}
+        >
+          <Ionicons name="chevron-up" size={18} color={index === 0 ? '#D1D5DB' : '#4F46E5'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => moveCategory(index, 1)}
+          disabled={index === categories.length - 1}
+        >
+          <Ionicons
+            name="chevron-down"
+            size={18}
+            color={index === categories.length - 1 ? '#D1D5DB' : '#4F46E5'}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => toggleArchived(item.id)}
+        >
+          <Ionicons
+            name={item.archived ? 'arrow-undo-outline' : 'archive-outline'}
+            size={18}
+            color="#6B7280"
+          />
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Categories</Text>
+        <TouchableOpacity
+          style={[styles.headerButton, styles.headerButtonRight]}
+          onPress={openAddModal}
+        >
+          <Ionicons name="add" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={categories}
+        renderItem={renderCategory}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        ListFooterComponent={
+          <Text style={styles.footerText}>
+            Archived categories are hidden when adding expenses or income but keep their history.
+          </Text>
+        }
+        showsVerticalScrollIndicator={false}
+      />
+
+      <CategoryModal
+        visible={modalVisible}
+        onClose={closeModal}
+        onSave={handleSaveCategory}
+        category={editingCategory}
+        categories={categories}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerButtonRight: {
+    marginLeft: 'auto',
+  },
+  list: {
+    padding: 20,
+  },
+  categoryCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 12,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  categoryCardArchived: {
+    opacity: 0.6,
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  categoryInfo: {
+    flex: 1,
+  },
+  categoryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionButton: {
+    padding: 6,
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
+
+export default CategoriesScreen;
@@ -0,0 +1,365 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import {
+  CSV_COLUMNS,
+  REQUIRED_FIELDS,
+  expensesToCsv,
+  parseCsv,
+  guessColumnMapping,
+  importCsvRows,
+} from '../utils/csv';
+import { shareTextFile, pickTextFile } from '../utils/files';
+import { readExpenses, saveExpenseChanges } from '../utils/storage';
+
+const CSV_MIME_TYPES = [
+  'text/csv',
+  'text/comma-separated-values',
+  'text/plain',
+  'application/vnd.ms-excel',
+];
+
+const ImportExportScreen = () => {
+  const router = useRouter();
+  const [csvFile, setCsvFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async () => {
+    try {
+      setBusy(true);
+      const expenses = await readExpenses();
+      if (expenses.length === 0) {
+        Alert.alert('Nothing to Export', 'Add some expenses first');
+        return;
+      }
+      const today = new Date().toISOString().slice(0, 10);
+      await shareTextFile(`expenses-${today}.csv`, expensesToCsv(expenses), 'text/csv');
+    } catch (error) {
+      console.error('Error exporting expenses:', error);
+      Alert.alert('Error', 'Failed to export expenses');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const file = await pickTextFile(CSV_MIME_TYPES);
+      if (!file) {
+        return;
+      }
+
+      const rows = parseCsv(file.contents);
+      if (rows.length < 2) {
+        Alert.alert('Error', 'The file needs a header row and at least one expense');
+        return;
+      }
+
+      const headers = rows[0].map(header => header.trim());
+      setCsvFile({ name: file.name, headers, rows: rows.slice(1) });
+      setMapping(guessColumnMapping(headers));
+      setResult(null);
+    } catch (error) {
+      console.error('Error reading CSV file:', error);
+      Alert.alert('Error', 'Failed to read the CSV file');
+    }
+  };
+
+  const selectColumn = (field, index) => {
+    setMapping(prev => ({ ...prev, [field]: index }));
+  };
+
+  const handleImport = async () => {
+    const missing = REQUIRED_FIELDS.filter(field => mapping[field] === null);
+    if (missing.length > 0) {
+      Alert.alert('Error', `Please choose a column for: ${missing.join(', ')}`);
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const expenses = await readExpenses();
+      const importResult = importCsvRows(csvFile.rows, mapping, expenses);
+      if (importResult.imported.length > 0) {
+        await saveExpenseChanges([], importResult.imported);
+      }
+      setResult(importResult);
+      setCsvFile(null);
+    } catch (error) {
+      console.error('Error importing expenses:', error);
+      Alert.alert('Error', 'Failed to import expenses');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderMappingRow = (field) => (
+    <View key={field} style={styles.mappingRow}>
+      <Text style={styles.mappingLabel}>
+        {field} {REQUIRED_FIELDS.includes(field) && <Text style={styles.required}>*</Text>}
+      </Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {[null, ...csvFile.headers.map((_, index) => index)].map(index => {
+          const selected = mapping[field] === index;
+          return (
+            <TouchableOpacity
+              key={index === null ? 'none' : index}
+              style={[styles.chip, selected && styles.chipSelected]}
+              onPress={() => selectColumn(field, index)}
+            >
+              <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                {index === null ? '—' : csvFile.headers[index] || `Column ${index + 1}`}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Import & Export</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Export */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Export</Text>
+          <Text style={styles.cardText}>
+            Save every expense as a CSV file with the columns {CSV_COLUMNS.join(', ')}.
+          </Text>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleExport}
+            disabled={busy}
+          >
+            <Ionicons name="share-outline" size={20} color="#FFFFFF" />
+            <Text style={styles.primaryButtonText}>Export to CSV</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Import */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Import</Text>
+          <Text style={styles.cardText}>
+            Rows are checked like a new expense. Rows whose id already exists are skipped.
+          </Text>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handlePickFile}
+            disabled={busy}
+          >
+            <Ionicons name="document-outline" size={20} color="#4F46E5" />
+            <Text style={styles.secondaryButtonText}>
+              {csvFile ? csvFile.name : 'Choose CSV File'}
+            </Text>
+          </TouchableOpacity>
+
+          {csvFile && (
+            <View style={styles.mappingContainer}>
+              <Text style={styles.sectionTitle}>Match columns to fields</Text>
+              {CSV_COLUMNS.map(renderMappingRow)}
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={handleImport}
+                disabled={busy}
+              >
+                <Ionicons name="download-outline" size={20} color="#FFFFFF" />
+                <Text style={styles.primaryButtonText}>
+                  Import {csvFile.rows.length} {csvFile.rows.length === 1 ? 'row' : 'rows'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {result && (
+            <View style={styles.resultContainer}>
+              <Text style={styles.resultText}>Imported: {result.imported.length}</Text>
+              <Text style={styles.resultText}>Duplicates skipped: {result.duplicates}</Text>
+              <Text style={styles.resultText}>Rows with errors: {result.errors.length}</Text>
+              {result.errors.map(error => (
+                <Text key={error.row} style={styles.errorText}>
+                  Row {error.row}: {error.message}
+                </Text>
+              ))}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#4F46E5',
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#EEF2FF',
+    gap: 8,
+  },
+  secondaryButtonText: {
+    color: '#4F46E5',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  mappingContainer: {
+    marginTop: 20,
+  },
+  mappingRow: {
+    marginBottom: 12,
+  },
+  mappingLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 6,
+  },
+  required: {
+    color: '#EF4444',
+    fontSize: 14,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+    marginRight: 8,
+  },
+  chipSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  resultContainer: {
+    marginTop: 20,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#F3F4F6',
+    gap: 4,
+  },
+  resultText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+  },
+});
+
+export default ImportExportScreen;
@@ -1,163 +1,651 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
+  SectionList,
   TouchableOpacity,
   Alert,
   StatusBar,
   SafeAreaView,
   RefreshControl,
+  BackHandler,
+  ScrollView,
+  TextInput,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
-import AddExpenseModal from './(model)/addModal';
+import { Image } from 'expo-image';
+import { useRouter, useFocusEffect } from 'expo-router';
+import BudgetModal from '../components/BudgetModal';
+import BulkEditModal from '../components/BulkEditModal';
+import ExpenseFilters from '../components/ExpenseFilters';
+import Snackbar from '../components/Snackbar';
+import ReceiptViewer from '../components/ReceiptViewer';
+import useCategories from '../hooks/useCategories';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import { readExpensePage, readExpenseMonths, saveExpenseChanges } from '../utils/storage';
+import { saveExpense, subscribeToExpenseSaves } from '../utils/expenses';
+import { parseQuickAdd } from '../utils/quickAdd';
+import {
+  EMPTY_TOTALS,
+  getMonthId,
+  getChunkId,
+  getMonthSummary,
+  getRangeSummary,
+  summarizeChunk,
+  sumInBase,
+} from '../utils/totals';
+import { loadTrash, moveToTrash, restoreFromTrash } from '../utils/trash';
+import { getReceiptUri } from '../utils/receipts';
+import { getExpenseTags, getTagsInUse } from '../utils/tags';
+import {
+  EMPTY_BUDGETS,
+  loadBudgets,
+  saveBudgets,
+  hasBudgets,
+  getMonthlySpending,
+  getBudgetOverruns,
+} from '../utils/budgets';
+import {
+  loadRecurringRules,
+  postDueExpenses,
+} from '../utils/recurring';
+import {
+  DEFAULT_CURRENCY_SETTINGS,
+  loadCurrencySettings,
+  formatAmount,
+  getBaseAmount,
+  getExpenseCurrency,
+} from '../utils/currency';
+import {
+  DEFAULT_FILTERS,
+  loadFilters,
+  saveFilters,
+  applyFilters,
+  isFiltering,
+  getFilterChunkIds,
+} from '../utils/filters';
+import { GROUPINGS, DEFAULT_GROUPING, loadGrouping, saveGrouping, groupExpenses } from '../utils/grouping';
+import { compareExpenseDates, formatDisplayDate } from '../utils/dates';
+import { t } from '../utils/i18n';
+import { getCategoriesOfType } from '../constants/categories';
+import { EXPENSE_TYPE, isIncome, isTransfer } from '../constants/transactions';
+import {
+  loadAccounts,
+  getActiveAccounts,
+  getAccountBalances,
+  getAccountName,
+  formatBalance,
+} from '../utils/accounts';
+
+const TRANSFER_COLOR = '#6B7280';
+
+// Sort by expense date (newest first)
+const sortExpenses = (list) =>
+  [...list].sort((a, b) => compareExpenseDates(b, a));
+
+// Add freshly loaded records to the list; the stored copy wins
+const mergeExpenses = (list, added) => {
+  const addedIds = new Set(added.map(expense => expense.id));
+  return [...list.filter(expense => !addedIds.has(expense.id)), ...added];
+};
+
+// Months are paged in the order the list shows them: by date when sorting
+// by date, newest first for any other sort
+const getPageDirection = (filters) =>
+  filters.sortBy === 'date' ? filters.sortDirection : 'desc';
+
+// While filtering, months keep being paged in until this many records match
+const MIN_FILTERED_MATCHES = 20;
+
+// Filters that change which months can match, and so where paging starts
+const getPagingKey = (filters) => JSON.stringify([
+  getPageDirection(filters),
+  filters.dateFrom,
+  filters.dateTo,
+  filters.categories,
+  filters.tags,
+]);
+
+// Read the months after `cursor` that the filters can match. While
+// filtering, pages keep coming until a screenful matches (counting `matched`
+// records already loaded), so old months aren't hidden behind empty pages.
+const readFilteredPage = async (cursor, filters, currencySettings, matched = 0) => {
+  const direction = getPageDirection(filters);
+  const selectChunks = (totals) => getFilterChunkIds(totals, filters, direction);
+  const filtering = isFiltering(filters);
+  let expenses = [];
+  let page = { cursor };
+  do {
+    page = await readExpensePage(page.cursor, direction, selectChunks);
+    expenses = [...expenses, ...page.expenses];
+  } while (
+    filtering &&
+    page.cursor &&
+    matched + applyFilters(expenses, filters, currencySettings).length < MIN_FILTERED_MATCHES
+  );
+
+  // The filtered stat cards need all of this month, wherever paging is
+  const monthId = getMonthId(new Date());
+  if (
+    filtering &&
+    selectChunks(page.totals).includes(monthId) &&
+    !expenses.some(expense => getChunkId(expense) === monthId)
+  ) {
+    expenses = mergeExpenses(expenses, await readExpenseMonths([monthId]));
+  }
+
+  return { expenses, totals: page.totals, cursor: page.cursor };
+};
 
 const ExpenseDashboard = () => {
+  const router = useRouter();
+  // Re-render in the new language when it changes in settings
+  useLocale();
+  const { colors, statusBarStyle, readableColor } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const {
+    activeCategories,
+    getCategoryIcon,
+    getCategoryColor,
+  } = useCategories();
+  // Only the months loaded so far; totals cover the whole ledger
   const [expenses, setExpenses] = useState([]);
-  const [modalVisible, setModalVisible] = useState(false);
+  const [totals, setTotals] = useState(EMPTY_TOTALS);
+  const [pageCursor, setPageCursor] = useState(null);
+  const loadingPage = useRef(false);
+  // Set while the add/edit form is open on top of the dashboard
+  const formOpen = useRef(false);
+  const [budgets, setBudgets] = useState(EMPTY_BUDGETS);
+  const [budgetModalVisible, setBudgetModalVisible] = useState(false);
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [grouping, setGrouping] = useState(DEFAULT_GROUPING);
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [undoState, setUndoState] = useState(null);
+  // Ids of the selected expenses, or null when not in selection mode
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [bulkEditMode, setBulkEditMode] = useState(null);
+  const [viewerUris, setViewerUris] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [quickAddText, setQuickAddText] = useState('');
+
+  const isSelecting = selectedIds !== null;
 
-  // Load expenses from AsyncStorage on component mount
+  // The back button leaves selection mode instead of the screen
   useEffect(() => {
-    loadExpenses();
-  }, []);
+    if (!isSelecting) {
+      return;
+    }
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      setSelectedIds(null);
+      return true;
+    });
+    return () => subscription.remove();
+  }, [isSelecting]);
 
-  const loadExpenses = async () => {
+  // Records saved from the add/edit form (or the quick-add box) are swapped
+  // into the list, if their month has been paged in yet
+  const pageDirection = getPageDirection(filters);
+  useEffect(() => subscribeToExpenseSaves(({ removed, added, totals: updatedTotals }) => {
+    const removedIds = new Set(removed.map(expense => expense.id));
+    const loadedAdded = added.filter(expense => !pageCursor || (pageDirection === 'asc'
+      ? getChunkId(expense) <= pageCursor
+      : getChunkId(expense) >= pageCursor));
+    setExpenses(current => sortExpenses(mergeExpenses(
+      current.filter(expense => !removedIds.has(expense.id)),
+      loadedAdded
+    )));
+    setTotals(updatedTotals);
+  }), [pageCursor, pageDirection]);
+
+  // Load expenses from AsyncStorage whenever the dashboard comes into focus,
+  // so changes made on other screens (e.g. a CSV import, a renamed category
+  // or filters picked on the analytics screen) show up. Coming back from the
+  // form keeps the user's place, since its saves have already been applied.
+  useFocusEffect(
+    useCallback(() => {
+      if (formOpen.current) {
+        formOpen.current = false;
+        return;
+      }
+      loadExpenses();
+      loadSavedGrouping();
+      loadBudgetSettings();
+      loadAccountList();
+    }, [])
+  );
+
+  const loadAccountList = async () => {
     try {
-      setLoading(true);
-      const storedExpenses = await AsyncStorage.getItem('expenses');
-      if (storedExpenses) {
-        const parsedExpenses = JSON.parse(storedExpenses);
-        // Sort by timestamp (newest first)
-        const sortedExpenses = parsedExpenses.sort((a, b) => 
-          new Date(b.timestamp) - new Date(a.timestamp)
-        );
-        setExpenses(sortedExpenses);
+      setAccounts(await loadAccounts());
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  };
+
+  const handleFiltersChange = (newFilters) => {
+    // Paging starts over when other months can match or they need to come in
+    // the other order; otherwise more are loaded if too few now match
+    if (getPagingKey(newFilters) !== getPagingKey(filters)) {
+      loadFirstPage(newFilters);
+    } else {
+      const matched = applyFilters(expenses, newFilters, currencySettings).length;
+      if (isFiltering(newFilters) && matched < MIN_FILTERED_MATCHES) {
+        loadMoreExpenses(newFilters, matched);
       }
+    }
+    setFilters(newFilters);
+    saveFilters(newFilters).catch(error => {
+      console.error('Error saving filters:', error);
+    });
+  };
+
+  const loadSavedGrouping = async () => {
+    try {
+      setGrouping(await loadGrouping());
+    } catch (error) {
+      console.error('Error loading grouping:', error);
+    }
+  };
+
+  const handleGroupingChange = (newGrouping) => {
+    setGrouping(newGrouping);
+    saveGrouping(newGrouping).catch(error => {
+      console.error('Error saving grouping:', error);
+    });
+  };
+
+  const loadBudgetSettings = async () => {
+    try {
+      setBudgets(await loadBudgets());
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+    }
+  };
+
+  const handleSaveBudgets = async (newBudgets) => {
+    setBudgets(newBudgets);
+    try {
+      await saveBudgets(newBudgets);
+    } catch (error) {
+      console.error('Error saving budgets:', error);
+      Alert.alert(t('common.error'), t('dashboard.saveBudgetsFailed'));
+    }
+  };
+
+  // Filters and exchange rates are loaded along with the first page since
+  // they decide which months it takes in
+  const loadExpenses = async () => {
+    try {
+      const [storedFilters, storedCurrencySettings] = await Promise.all([
+        loadFilters(),
+        loadCurrencySettings(),
+      ]);
+      setFilters(storedFilters);
+      setCurrencySettings(storedCurrencySettings);
+      // Post any recurring expenses that came due since the app was last opened
+      await postDueExpenses(await loadRecurringRules());
+      const page = await readFilteredPage(null, storedFilters, storedCurrencySettings);
+      setExpenses(page.expenses);
+      setTotals(page.totals);
+      setPageCursor(page.cursor);
+      // Loading the trash clears out anything past the retention period
+      await loadTrash();
     } catch (error) {
       console.error('Error loading expenses:', error);
-      Alert.alert('Error', 'Failed to load expenses');
+      Alert.alert(t('common.error'), t('dashboard.loadFailed'));
     } finally {
       setLoading(false);
     }
   };
 
-  const saveExpenses = async (newExpenses) => {
+  // Load the months after `cursor`, or start over from the first page
+  const loadPage = async (cursor, pageFilters, pageCurrencySettings, matched = 0) => {
+    const page = await readFilteredPage(cursor, pageFilters, pageCurrencySettings, matched);
+    setExpenses(current => (cursor ? mergeExpenses(current, page.expenses) : page.expenses));
+    setTotals(page.totals);
+    setPageCursor(page.cursor);
+  };
+
+  const loadFirstPage = async (newFilters) => {
     try {
-      await AsyncStorage.setItem('expenses', JSON.stringify(newExpenses));
+      await loadPage(null, newFilters, currencySettings);
+    } catch (error) {
+      console.error('Error loading expenses:', error);
+      Alert.alert(t('common.error'), t('dashboard.loadFailed'));
+    }
+  };
+
+  const loadMoreExpenses = async (pageFilters = filters, matched = 0) => {
+    if (!pageCursor || loadingPage.current) {
+      return;
+    }
+    loadingPage.current = true;
+    try {
+      await loadPage(pageCursor, pageFilters, currencySettings, matched);
+    } catch (error) {
+      console.error('Error loading expenses:', error);
+    } finally {
+      loadingPage.current = false;
+    }
+  };
+
+  // Only the months the changed records are in get rewritten
+  const saveExpenses = async (previous, next) => {
+    try {
+      setTotals(await saveExpenseChanges(previous, next));
     } catch (error) {
       console.error('Error saving expenses:', error);
-      Alert.alert('Error', 'Failed to save expenses');
+      Alert.alert(t('common.error'), t('dashboard.saveFailed'));
+    }
+  };
+
+  // The form is its own route, opened over the dashboard
+  const openForm = (route) => {
+    formOpen.current = true;
+    router.push(route);
+  };
+
+  const openAddModal = () => {
+    openForm('/add');
+  };
+
+  // Passing the month lets the form read just that one
+  const openEditModal = (expense) => {
+    openForm({ pathname: '/expense/[id]', params: { id: expense.id, month: getChunkId(expense) } });
+  };
+
+  // Saves a new record the same way the add form does
+  const handleSaveExpense = async (fields) => {
+    const savedExpense = {
+      id: Date.now().toString(),
+      accountId: null,
+      toAccountId: null,
+      tags: [],
+      split: null,
+      receipts: [],
+      ...fields,
+      timestamp: new Date().toISOString(),
+    };
+    try {
+      // The list and totals update through subscribeToExpenseSaves
+      await saveExpense(savedExpense);
+      setQuickAddText('');
+    } catch (error) {
+      console.error('Error saving expense:', error);
+      Alert.alert(t('common.error'), t('addModal.saveFailed'));
+    }
+  };
+
+  // Read the quick-add phrase and ask before saving what came out of it.
+  // "Edit" opens the full form with the parsed fields filled in instead.
+  const handleQuickAdd = () => {
+    if (!quickAddText.trim()) {
+      return;
     }
+    const { expense, error } = parseQuickAdd(quickAddText, activeCategories);
+    if (error) {
+      Alert.alert(t('common.error'), error);
+      return;
+    }
+
+    const fields = { ...expense, currency: expense.currency || currencySettings.baseCurrency };
+    const summary = t('quickAdd.summary', {
+      amount: formatAmount(fields.amount, fields.currency),
+      category: fields.category,
+      date: formatDisplayDate(fields.date),
+      description: fields.description || t('common.none'),
+    });
+    const overruns = getBudgetOverruns(budgets, totals, fields, currencySettings);
+    const message = overruns.length > 0
+      ? `${summary}\n\n${t('quickAdd.overBudget', { overruns: overruns.join('\n') })}`
+      : summary;
+
+    Alert.alert(t('quickAdd.confirmTitle'), message, [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.edit'),
+        onPress: () => openForm({
+          pathname: '/add',
+          params: {
+            type: fields.type,
+            amount: String(fields.amount),
+            currency: fields.currency,
+            category: fields.category,
+            date: fields.date,
+            ...(fields.description ? { note: fields.description } : {}),
+          },
+        }),
+      },
+      { text: t('quickAdd.save'), onPress: () => handleSaveExpense(fields) },
+    ]);
   };
 
-  const handleSaveExpense = (newExpense) => {
-    const updatedExpenses = [newExpense, ...expenses];
-    setExpenses(updatedExpenses);
-    saveExpenses(updatedExpenses);
+  // Deleted expenses go to the trash and can be brought back from the snackbar
+  const trashExpenses = async (ids) => {
+    setExpenses(expenses.filter(expense => !ids.includes(expense.id)));
+    try {
+      setTotals(await moveToTrash(expenses.filter(expense => ids.includes(expense.id))));
+      setUndoState({
+        ids,
+        message: t('dashboard.movedToTrash', { count: ids.length }),
+      });
+    } catch (error) {
+      console.error('Error deleting expenses:', error);
+      Alert.alert(t('common.error'), t('dashboard.deleteFailed'));
+    }
   };
 
   const deleteExpense = (id) => {
+    trashExpenses([id]);
+  };
+
+  const undoDelete = async () => {
+    const { ids } = undoState;
+    setUndoState(null);
+    try {
+      const { restored, totals: updatedTotals } = await restoreFromTrash(ids);
+      setExpenses(current => sortExpenses(mergeExpenses(current, restored)));
+      setTotals(updatedTotals);
+    } catch (error) {
+      console.error('Error restoring expense:', error);
+      Alert.alert(t('common.error'), t('dashboard.restoreFailed'));
+    }
+  };
+
+  const dismissUndo = useCallback(() => setUndoState(null), []);
+
+  const startSelection = (id) => {
+    setSelectedIds([id]);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id]);
+  };
+
+  const selectAllVisible = () => {
+    setSelectedIds(visibleExpenses.map(expense => expense.id));
+  };
+
+  const exitSelection = () => {
+    setSelectedIds(null);
+    setBulkEditMode(null);
+  };
+
+  // e.g. "3 expenses totalling $42.00", in the base currency
+  const getSelectionSummary = () => {
+    const selected = expenses.filter(expense => selectedIds.includes(expense.id));
+    const total = selected.reduce(
+      (sum, expense) => sum + getBaseAmount(expense, currencySettings),
+      0
+    );
+    return t('dashboard.selectionSummary', {
+      count: selected.length,
+      amount: formatBaseAmount(total),
+    });
+  };
+
+  const confirmBulkDelete = () => {
+    const ids = selectedIds;
     Alert.alert(
-      'Delete Expense',
-      'Are you sure you want to delete this expense?',
+      t('dashboard.deleteTitle'),
+      t('dashboard.deleteMessage', { selection: getSelectionSummary() }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => {
-            const updatedExpenses = expenses.filter(expense => expense.id !== id);
-            setExpenses(updatedExpenses);
-            saveExpenses(updatedExpenses);
+            exitSelection();
+            trashExpenses(ids);
           },
         },
       ]
     );
   };
 
+  // Every selected expense is updated in a single write
+  const applyBulkChanges = (changes) => {
+    const ids = selectedIds;
+    const updatedAt = new Date().toISOString();
+    const selected = expenses.filter(expense => ids.includes(expense.id));
+    const updated = selected.map(expense => ({ ...expense, ...changes, updatedAt }));
+    setExpenses(sortExpenses(mergeExpenses(expenses, updated)));
+    saveExpenses(selected, updated);
+    exitSelection();
+  };
+
+  const confirmBulkEdit = (changes) => {
+    const title = t(changes.category ? 'dashboard.changeCategoryTitle' : 'dashboard.changeDateTitle');
+    const message = changes.category
+      ? t('dashboard.changeCategoryMessage', { selection: getSelectionSummary(), category: changes.category })
+      : t('dashboard.changeDateMessage', { selection: getSelectionSummary(), date: formatDisplayDate(changes.date) });
+    setBulkEditMode(null);
+    Alert.alert(title, message, [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('common.apply'), onPress: () => applyBulkChanges(changes) },
+    ]);
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
     await loadExpenses();
     setRefreshing(false);
   };
 
-  const getCategoryIcon = (category) => {
-    const icons = {
-      'Food': 'restaurant',
-      'Transport': 'car',
-      'Shopping': 'bag',
-      'Entertainment': 'game-controller',
-      'Health': 'medical',
-      'Bills': 'receipt',
-      'Education': 'school',
-      'Other': 'ellipsis-horizontal',
-    };
-    return icons[category] || 'cash';
-  };
-
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Food': '#F59E0B',
-      'Transport': '#3B82F6',
-      'Shopping': '#EF4444',
-      'Entertainment': '#8B5CF6',
-      'Health': '#10B981',
-      'Bills': '#F97316',
-      'Education': '#06B6D4',
-      'Other': '#6B7280',
-    };
-    return colors[category] || '#4F46E5';
+  const formatBaseAmount = (amount) => {
+    return formatAmount(amount, currencySettings.baseCurrency);
   };
 
-  const formatAmount = (amount) => {
-    return `$${amount.toFixed(2)}`;
+  // Stats cover this month, from the ledger totals (months follow the expense
+  // date rather than when it was entered). While filtering they cover every
+  // loaded record that matches instead, whatever its month, so a date range
+  // in the past doesn't show zeros. Transfers only move money between
+  // accounts and count as neither.
+  const getExpenseStats = () => {
+    const summary = filtering ? summarizeChunk(visibleExpenses) : getMonthSummary(totals);
+    // Totals are converted to the base currency
+    const income = sumInBase(summary.income, currencySettings);
+    const spending = sumInBase(summary.spending, currencySettings);
+
+    return {
+      income,
+      spending,
+      net: income - spending,
+      incomeCount: summary.incomeCount,
+      spendingCount: summary.spendingCount,
+    };
   };
 
-  const formatDate = (dateString) => {
-    // Handle both MM/DD/YYYY format and ISO format
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) {
-      // If not a valid date object, return the original string
-      return dateString;
+  // More matches may be in months that haven't been paged in yet
+  const getNetLabelKey = () => {
+    if (!filtering) {
+      return 'dashboard.netThisMonth';
     }
-    
-    const options = { 
-      month: 'short', 
-      day: 'numeric',
-      year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
-    };
-    return date.toLocaleDateString('en-US', options);
+    return pageCursor ? 'dashboard.netFilteredSoFar' : 'dashboard.netFiltered';
   };
 
-  const getExpenseStats = () => {
-    const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-    const thisMonth = new Date().getMonth();
-    const thisYear = new Date().getFullYear();
-    
-    const monthlyExpenses = expenses.filter(expense => {
-      const expenseDate = new Date(expense.timestamp);
-      return expenseDate.getMonth() === thisMonth && expenseDate.getFullYear() === thisYear;
-    });
-    
-    const monthlyTotal = monthlyExpenses.reduce((sum, expense) => sum + expense.amount, 0);
-    
-    return {
-      total: totalExpenses,
-      monthly: monthlyTotal,
-      count: expenses.length,
-      monthlyCount: monthlyExpenses.length
-    };
+  const renderBudgetBar = (label, spent, budget, color) => {
+    const progress = Math.min(spent / budget, 1);
+    const isOver = spent > budget;
+
+    return (
+      <View key={label} style={styles.budgetRow}>
+        <View style={styles.budgetLabelRow}>
+          <Text style={styles.budgetLabel}>{label}</Text>
+          <Text style={[styles.budgetAmount, isOver && styles.budgetAmountOver]}>
+            {formatBaseAmount(spent)} / {formatBaseAmount(budget)}
+          </Text>
+        </View>
+        <View style={styles.budgetTrack}>
+          <View
+            style={[
+              styles.budgetFill,
+              { width: `${progress * 100}%`, backgroundColor: isOver ? colors.danger : color },
+            ]}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  const renderBudgets = () => {
+    const spending = getMonthlySpending(totals, currencySettings);
+
+    return (
+      <View style={styles.budgetContainer}>
+        <View style={styles.budgetTitleRow}>
+          <Text style={styles.budgetTitle}>{t('dashboard.budgets')}</Text>
+          <TouchableOpacity onPress={() => setBudgetModalVisible(true)}>
+            <Text style={styles.budgetEditText}>{t('common.edit')}</Text>
+          </TouchableOpacity>
+        </View>
+        {budgets.overall !== null &&
+          renderBudgetBar(t('dashboard.budgetThisMonth'), spending.total, budgets.overall, colors.accent)}
+        {Object.entries(budgets.categories).map(([category, budget]) =>
+          renderBudgetBar(
+            category,
+            spending.byCategory[category] || 0,
+            budget,
+            readableColor(getCategoryColor(category))
+          )
+        )}
+      </View>
+    );
   };
 
   const renderExpenseItem = ({ item }) => {
-    const categoryColor = getCategoryColor(item.category);
+    const transfer = isTransfer(item);
+    const categoryColor = readableColor(transfer ? TRANSFER_COLOR : getCategoryColor(item.category));
+    const currency = getExpenseCurrency(item);
+    const isForeign = currency !== currencySettings.baseCurrency;
+    const isSelected = isSelecting && selectedIds.includes(item.id);
+    const income = isIncome(item);
+    // Transfers show both accounts, everything else the account it was paid from or into
+    let accountText = null;
+    if (transfer) {
+      accountText = `${getAccountName(accounts, item.accountId)} → ${getAccountName(accounts, item.toAccountId)}`;
+    } else if (item.accountId) {
+      accountText = getAccountName(accounts, item.accountId);
+    }
     
+    // Long-press starts selection mode, where taps toggle the selection
     return (
-      <View style={styles.expenseCard}>
+      <TouchableOpacity
+        style={[
+          styles.expenseCard,
+          income && styles.incomeCard,
+          isSelected && styles.expenseCardSelected
+        ]}
+        activeOpacity={0.7}
+        onPress={() => (isSelecting ? toggleSelected(item.id) : openEditModal(item))}
+        onLongPress={() => !isSelecting && startSelection(item.id)}
+      >
         <View style={styles.expenseHeader}>
           <View style={styles.categoryContainer}>
             <View style={[
@@ -165,31 +653,109 @@ const ExpenseDashboard = () => {
               { backgroundColor: categoryColor + '20' }
             ]}>
               <Ionicons 
-                name={getCategoryIcon(item.category)} 
+                name={transfer ? 'swap-horizontal' : getCategoryIcon(item.category)} 
                 size={20} 
                 color={categoryColor} 
               />
             </View>
             <View style={styles.expenseInfo}>
               <Text style={styles.categoryText}>{item.category}</Text>
-              <Text style={styles.dateText}>{formatDate(item.date)}</Text>
+              <Text style={styles.dateText}>
+                {formatDisplayDate(item.date)}{accountText ? ` · ${accountText}` : ''}
+              </Text>
               {item.description && (
                 <Text style={styles.descriptionText} numberOfLines={1}>
                   {item.description}
                 </Text>
               )}
+              {item.split && (
+                <View style={styles.splitRow}>
+                  <Ionicons name="people-outline" size={12} color={colors.accent} />
+                  <Text style={styles.splitText}>
+                    {t('dashboard.splitSummary', { people: item.split.shares.length, payer: item.split.paidBy })}
+                  </Text>
+                </View>
+              )}
+              {getExpenseTags(item).length > 0 && (
+                <View style={styles.tagRow}>
+                  {getExpenseTags(item).map((tag) => (
+                    <View key={tag} style={styles.tagChip}>
+                      <Text style={styles.tagChipText}>#{tag}</Text>
+                    </View>
+                  ))}
+                </View>
+              )}
+              {item.receipts && item.receipts.length > 0 && (
+                <TouchableOpacity
+                  style={styles.receiptThumbnail}
+                  onPress={() => setViewerUris(item.receipts.map(getReceiptUri))}
+                  disabled={isSelecting}
+                >
+                  <Image
+                    source={{ uri: getReceiptUri(item.receipts[0]) }}
+                    style={styles.receiptImage}
+                    contentFit="cover"
+                  />
+                  {item.receipts.length > 1 && (
+                    <View style={styles.receiptBadge}>
+                      <Text style={styles.receiptBadgeText}>+{item.receipts.length - 1}</Text>
+                    </View>
+                  )}
+                </TouchableOpacity>
+              )}
             </View>
           </View>
           <View style={styles.amountContainer}>
-            <Text style={styles.amountText}>{formatAmount(item.amount)}</Text>
-            <TouchableOpacity
-              style={styles.deleteButton}
-              onPress={() => deleteExpense(item.id)}
-            >
-              <Ionicons name="trash-outline" size={18} color="#EF4444" />
-            </TouchableOpacity>
+            <Text style={[
+              styles.amountText,
+              income && styles.incomeAmountText,
+              transfer && styles.transferAmountText
+            ]}>
+              {income ? '+' : ''}{formatAmount(item.amount, currency)}
+            </Text>
+            {isForeign && (
+              <Text style={styles.convertedText}>
+                ≈ {formatBaseAmount(getBaseAmount(item, currencySettings))}
+              </Text>
+            )}
+            {isSelecting ? (
+              <Ionicons
+                name={isSelected ? 'checkmark-circle' : 'ellipse-outline'}
+                size={22}
+                color={isSelected ? colors.accent : colors.textFaint}
+              />
+            ) : (
+              <TouchableOpacity
+                style={styles.deleteButton}
+                onPress={() => deleteExpense(item.id)}
+              >
+                <Ionicons name="trash-outline" size={18} color={colors.danger} />
+              </TouchableOpacity>
+            )}
           </View>
         </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderSectionHeader = ({ section }) => {
+    const counts = [
+      t('counts.expenses', { count: section.spendingCount }),
+      section.incomeCount > 0 && t('counts.income', { count: section.incomeCount }),
+    ].filter(Boolean).join(' · ');
+
+    return (
+      <View style={styles.sectionHeader}>
+        <View style={styles.sectionTitleRow}>
+          <Text style={styles.sectionTitle}>{section.title}</Text>
+          <Text style={styles.sectionCount}>{counts}</Text>
+        </View>
+        <View style={styles.sectionTotals}>
+          <Text style={styles.sectionSubtotal}>{formatBaseAmount(section.spending)}</Text>
+          {section.income > 0 && (
+            <Text style={styles.sectionIncome}>+{formatBaseAmount(section.income)}</Text>
+          )}
+        </View>
       </View>
     );
   };
@@ -197,30 +763,59 @@ const ExpenseDashboard = () => {
   const EmptyState = () => (
     <View style={styles.emptyContainer}>
       <View style={styles.emptyIconContainer}>
-        <Ionicons name="wallet-outline" size={80} color="#D1D5DB" />
+        <Ionicons name="wallet-outline" size={80} color={colors.borderStrong} />
       </View>
-      <Text style={styles.emptyTitle}>No expenses yet</Text>
-      <Text style={styles.emptySubtitle}>
-        Start tracking your expenses by adding your first entry
-      </Text>
+      <Text style={styles.emptyTitle}>{t('dashboard.emptyTitle')}</Text>
+      <Text style={styles.emptySubtitle}>{t('dashboard.emptySubtitle')}</Text>
       <TouchableOpacity
         style={styles.emptyButton}
-        onPress={() => setModalVisible(true)}
+        onPress={openAddModal}
       >
-        <Ionicons name="add" size={20} color="#FFFFFF" style={styles.buttonIcon} />
-        <Text style={styles.emptyButtonText}>Add First Expense</Text>
+        <Ionicons name="add" size={20} color={colors.onPrimary} style={styles.buttonIcon} />
+        <Text style={styles.emptyButtonText}>{t('dashboard.addFirst')}</Text>
       </TouchableOpacity>
     </View>
   );
 
+  const NoResultsState = () => (
+    <View style={styles.emptyContainer}>
+      <View style={styles.emptyIconContainer}>
+        <Ionicons name="search-outline" size={80} color={colors.borderStrong} />
+      </View>
+      <Text style={styles.emptyTitle}>{t('dashboard.noResultsTitle')}</Text>
+      <Text style={styles.emptySubtitle}>{t('dashboard.noResultsSubtitle')}</Text>
+    </View>
+  );
+
+  const visibleExpenses = applyFilters(expenses, filters, currencySettings);
+  // Sections follow the date sort; other sorts apply within each section
+  const sections = groupExpenses(
+    visibleExpenses,
+    grouping,
+    currencySettings,
+    getPageDirection(filters)
+  );
+  const activeAccounts = getActiveAccounts(accounts);
+  const accountBalances = getAccountBalances(accounts, totals, currencySettings);
+  const hasExpenses = Object.keys(totals.chunks).length > 0;
+  const filtering = isFiltering(filters);
   const stats = getExpenseStats();
 
+  // Active categories first, then any custom or archived ones found in the data
+  const categoryNames = [
+    ...new Set([
+      ...activeCategories.map(cat => cat.name),
+      ...Object.keys(getRangeSummary(totals).categories),
+      ...expenses.map(expense => expense.category),
+    ]),
+  ];
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container}>
-        <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+        <StatusBar barStyle={statusBarStyle} backgroundColor={colors.surface} />
         <View style={styles.loadingContainer}>
-          <Text style={styles.loadingText}>Loading expenses...</Text>
+          <Text style={styles.loadingText}>{t('dashboard.loading')}</Text>
         </View>
       </SafeAreaView>
     );
@@ -228,78 +823,283 @@ const ExpenseDashboard = () => {
 
   return (
     <SafeAreaView style={styles.container}>
-      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+      <StatusBar barStyle={statusBarStyle} backgroundColor={colors.surface} />
       
       {/* Header */}
       <View style={styles.header}>
-        <View style={styles.headerTop}>
-          <Text style={styles.headerTitle}>Expense Tracker</Text>
-          <TouchableOpacity
-            style={styles.headerButton}
-            onPress={() => setModalVisible(true)}
-          >
-            <Ionicons name="add" size={20} color="#4F46E5" />
-          </TouchableOpacity>
-        </View>
+        {isSelecting ? (
+          <View style={styles.headerTop}>
+            <View style={styles.selectionTitleRow}>
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={exitSelection}
+              >
+                <Ionicons name="close" size={20} color={colors.accent} />
+              </TouchableOpacity>
+              <Text style={styles.selectionTitle}>{t('dashboard.selected', { count: selectedIds.length })}</Text>
+            </View>
+            <TouchableOpacity onPress={selectAllVisible}>
+              <Text style={styles.budgetEditText}>{t('dashboard.selectAll')}</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.headerTop}>
+            <Text style={styles.headerTitle}>{t('dashboard.title')}</Text>
+            <View style={styles.headerActions}>
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={() => router.push('/settings')}
+              >
+                <Ionicons name="settings-outline" size={20} color={colors.accent} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={() => router.push('/analytics')}
+              >
+                <Ionicons name="stats-chart-outline" size={20} color={colors.accent} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={openAddModal}
+              >
+                <Ionicons name="add" size={20} color={colors.accent} />
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {/* Quick Add */}
+        {!isSelecting && (
+          <View style={styles.quickAddRow}>
+            <TextInput
+              style={styles.quickAddInput}
+              placeholder={t('quickAdd.placeholder')}
+              placeholderTextColor={colors.textFaint}
+              value={quickAddText}
+              onChangeText={setQuickAddText}
+              onSubmitEditing={handleQuickAdd}
+              returnKeyType="done"
+              autoCorrect={false}
+            />
+            <TouchableOpacity
+              style={styles.headerButton}
+              onPress={handleQuickAdd}
+              disabled={!quickAddText.trim()}
+            >
+              <Ionicons
+                name="arrow-forward"
+                size={20}
+                color={quickAddText.trim() ? colors.accent : colors.borderStrong}
+              />
+            </TouchableOpacity>
+          </View>
+        )}
         
-        {expenses.length > 0 && (
-          <View style={styles.statsContainer}>
-            <View style={styles.statCard}>
-              <Text style={styles.statLabel}>Total Spent</Text>
-              <Text style={styles.statAmount}>{formatAmount(stats.total)}</Text>
-              <Text style={styles.statCount}>{stats.count} expenses</Text>
+        {hasExpenses && (
+          <>
+            <View style={styles.statsContainer}>
+              <View style={styles.statCard}>
+                <Text style={styles.statLabel}>
+                  {t(filtering ? 'dashboard.spentFiltered' : 'dashboard.spentThisMonth')}
+                </Text>
+                <Text style={styles.statAmount}>{formatBaseAmount(stats.spending)}</Text>
+                <Text style={styles.statCount}>
+                  {t('counts.expenses', { count: stats.spendingCount })}
+                </Text>
+              </View>
+              <View style={styles.statCard}>
+                <Text style={styles.statLabel}>
+                  {t(filtering ? 'dashboard.incomeFiltered' : 'dashboard.incomeThisMonth')}
+                </Text>
+                <Text style={styles.statAmountSecondary}>{formatBaseAmount(stats.income)}</Text>
+                <Text style={styles.statCount}>
+                  {t('counts.payments', { count: stats.incomeCount })}
+                </Text>
+              </View>
             </View>
-            <View style={styles.statCard}>
-              <Text style={styles.statLabel}>This Month</Text>
-              <Text style={styles.statAmountSecondary}>{formatAmount(stats.monthly)}</Text>
-              <Text style={styles.statCount}>{stats.monthlyCount} expenses</Text>
+            <View style={styles.netRow}>
+              <Text style={styles.netLabel}>
+                {t(getNetLabelKey())}
+              </Text>
+              <Text style={[styles.netAmount, stats.net < 0 && styles.netAmountNegative]}>
+                {stats.net < 0 ? '-' : '+'}{formatBaseAmount(Math.abs(stats.net))}
+              </Text>
             </View>
+          </>
+        )}
+
+        {/* Account Balances (every record counts, whatever the filters) */}
+        {activeAccounts.length > 0 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.accountStrip}
+            contentContainerStyle={styles.accountStripContent}
+          >
+            {activeAccounts.map((account) => (
+              <TouchableOpacity
+                key={account.id}
+                style={styles.accountCard}
+                onPress={() => router.push('/accounts')}
+              >
+                <View style={styles.accountNameRow}>
+                  <Ionicons name={account.icon} size={14} color={colors.accent} />
+                  <Text style={styles.accountName} numberOfLines={1}>{account.name}</Text>
+                </View>
+                <Text style={[
+                  styles.accountBalance,
+                  accountBalances[account.id] < 0 && styles.netAmountNegative
+                ]}>
+                  {formatBalance(accountBalances[account.id], account.currency)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+
+        {hasBudgets(budgets) ? renderBudgets() : (
+          <TouchableOpacity
+            style={styles.budgetLink}
+            onPress={() => setBudgetModalVisible(true)}
+          >
+            <Ionicons name="pie-chart-outline" size={16} color={colors.accent} />
+            <Text style={styles.budgetEditText}>{t('dashboard.setBudgets')}</Text>
+          </TouchableOpacity>
+        )}
+
+        {hasExpenses && (
+          <ExpenseFilters
+            filters={filters}
+            onChange={handleFiltersChange}
+            categories={categoryNames}
+            tags={getTagsInUse(totals)}
+            baseCurrency={currencySettings.baseCurrency}
+          />
+        )}
+
+        {/* Grouping */}
+        {hasExpenses && (
+          <View style={styles.groupingRow}>
+            <Text style={styles.groupingLabel}>{t('dashboard.groupBy')}</Text>
+            {GROUPINGS.map((item) => (
+              <TouchableOpacity
+                key={item.value}
+                style={[styles.groupingOption, grouping === item.value && styles.groupingOptionSelected]}
+                onPress={() => handleGroupingChange(item.value)}
+              >
+                <Text style={[
+                  styles.groupingOptionText,
+                  grouping === item.value && styles.groupingOptionTextSelected
+                ]}>
+                  {t(`groupings.${item.value}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </View>
         )}
       </View>
 
       {/* Expense List */}
-      <FlatList
-        data={expenses}
+      <SectionList
+        sections={sections}
         renderItem={renderExpenseItem}
+        renderSectionHeader={renderSectionHeader}
+        stickySectionHeadersEnabled
         keyExtractor={(item) => item.id}
-        contentContainerStyle={expenses.length === 0 ? styles.emptyList : styles.list}
-        ListEmptyComponent={EmptyState}
+        contentContainerStyle={visibleExpenses.length === 0 ? styles.emptyList : styles.list}
+        ListEmptyComponent={hasExpenses ? NoResultsState : EmptyState}
+        onEndReached={() => loadMoreExpenses()}
+        onEndReachedThreshold={0.5}
         showsVerticalScrollIndicator={false}
         refreshControl={
           <RefreshControl
             refreshing={refreshing}
             onRefresh={onRefresh}
-            colors={['#4F46E5']}
-            tintColor="#4F46E5"
+            colors={[colors.accent]}
+            tintColor={colors.accent}
           />
         }
       />
 
       {/* Floating Add Button - Only show when there are expenses */}
-      {expenses.length > 0 && (
+      {hasExpenses && !isSelecting && (
         <TouchableOpacity
           style={styles.fab}
-          onPress={() => setModalVisible(true)}
+          onPress={openAddModal}
         >
-          <Ionicons name="add" size={28} color="#FFFFFF" />
+          <Ionicons name="add" size={28} color={colors.onPrimary} />
         </TouchableOpacity>
       )}
 
-      {/* Add Expense Modal */}
-      <AddExpenseModal
-        visible={modalVisible}
-        onClose={() => setModalVisible(false)}
-        onSave={handleSaveExpense}
+      {/* Bulk Actions */}
+      {isSelecting && (
+        <View style={styles.selectionBar}>
+          {[
+            { icon: 'pricetag-outline', label: t('dashboard.bulkCategory'), onPress: () => setBulkEditMode('category') },
+            { icon: 'calendar-outline', label: t('dashboard.bulkDate'), onPress: () => setBulkEditMode('date') },
+            { icon: 'trash-outline', label: t('dashboard.bulkDelete'), onPress: confirmBulkDelete },
+          ].map((action) => (
+            <TouchableOpacity
+              key={action.icon}
+              style={styles.selectionAction}
+              onPress={action.onPress}
+              disabled={selectedIds.length === 0}
+            >
+              <Ionicons
+                name={action.icon}
+                size={20}
+                color={selectedIds.length === 0 ? colors.borderStrong : colors.accent}
+              />
+              <Text style={[
+                styles.selectionActionText,
+                selectedIds.length === 0 && styles.selectionActionTextDisabled
+              ]}>
+                {action.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {/* Undo Delete */}
+      <Snackbar
+        message={undoState && undoState.message}
+        messageKey={undoState && undoState.ids}
+        actionLabel={t('common.undo')}
+        onAction={undoDelete}
+        onDismiss={dismissUndo}
+      />
+
+      {/* Receipt Viewer */}
+      <ReceiptViewer uris={viewerUris} onClose={() => setViewerUris([])} />
+
+      {/* Bulk Edit Modal */}
+      <BulkEditModal
+        visible={bulkEditMode !== null}
+        mode={bulkEditMode}
+        onClose={() => setBulkEditMode(null)}
+        onApply={confirmBulkEdit}
+        count={isSelecting ? selectedIds.length : 0}
+        categories={activeCategories}
+      />
+
+      {/* Budget Modal */}
+      <BudgetModal
+        visible={budgetModalVisible}
+        onClose={() => setBudgetModalVisible(false)}
+        onSave={handleSaveBudgets}
+        budgets={budgets}
+        baseCurrency={currencySettings.baseCurrency}
+        categories={getCategoriesOfType(activeCategories, EXPENSE_TYPE)}
       />
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#F8FAFC',
+    backgroundColor: colors.background,
     paddingTop: 20,
   },
   loadingContainer: {
@@ -309,15 +1109,15 @@ const styles = StyleSheet.create({
   },
   loadingText: {
     fontSize: 16,
-    color: '#6B7280',
+    color: colors.textMuted,
   },
   header: {
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.surface,
     paddingHorizontal: 20,
     paddingTop: 10,
     paddingBottom: 20,
     borderBottomWidth: 1,
-    borderBottomColor: '#E5E7EB',
+    borderBottomColor: colors.border,
   },
   headerTop: {
     flexDirection: 'row',
@@ -328,47 +1128,188 @@ const styles = StyleSheet.create({
   headerTitle: {
     fontSize: 28,
     fontWeight: '700',
-    color: '#1F2937',
+    color: colors.text,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    gap: 8,
   },
   headerButton: {
     width: 40,
     height: 40,
     borderRadius: 20,
-    backgroundColor: '#EEF2FF',
+    backgroundColor: colors.primarySoft,
     justifyContent: 'center',
     alignItems: 'center',
   },
+  quickAddRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 16,
+  },
+  quickAddInput: {
+    flex: 1,
+    height: 40,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    backgroundColor: colors.surfaceMuted,
+    fontSize: 15,
+    color: colors.text,
+  },
+  selectionTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  selectionTitle: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: colors.text,
+  },
   statsContainer: {
     flexDirection: 'row',
     gap: 12,
   },
   statCard: {
     flex: 1,
-    backgroundColor: '#4F46E5',
+    backgroundColor: colors.primary,
     paddingHorizontal: 16,
     paddingVertical: 16,
     borderRadius: 16,
   },
   statLabel: {
     fontSize: 14,
-    color: '#C7D2FE',
+    color: colors.onPrimaryMuted,
     marginBottom: 4,
   },
   statAmount: {
     fontSize: 24,
     fontWeight: '700',
-    color: '#FFFFFF',
+    color: colors.onPrimary,
     marginBottom: 2,
   },
   statAmountSecondary: {
     fontSize: 20,
     fontWeight: '600',
-    color: '#FFFFFF',
+    color: colors.onPrimary,
     marginBottom: 2,
   },
   statCount: {
     fontSize: 12,
-    color: '#C7D2FE',
+    color: colors.onPrimaryMuted,
+  },
+  netRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: colors.primarySoft,
+  },
+  netLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: colors.accent,
+  },
+  netAmount: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.success,
+  },
+  netAmountNegative: {
+    color: colors.danger,
+  },
+  accountStrip: {
+    marginTop: 12,
+  },
+  accountStripContent: {
+    gap: 8,
+  },
+  accountCard: {
+    minWidth: 120,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  accountNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 4,
+  },
+  accountName: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: colors.textMuted,
+    maxWidth: 120,
+  },
+  accountBalance: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  budgetContainer: {
+    marginTop: 16,
+    gap: 10,
+  },
+  budgetTitleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  budgetTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  budgetEditText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.accent,
+  },
+  budgetLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+    gap: 6,
+  },
+  budgetRow: {
+    gap: 4,
+  },
+  budgetLabelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  budgetLabel: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
+  budgetAmount: {
+    fontSize: 13,
+    color: colors.textMuted,
+  },
+  budgetAmountOver: {
+    color: colors.danger,
+    fontWeight: '600',
+  },
+  budgetTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+  },
+  budgetFill: {
+    height: '100%',
+    borderRadius: 3,
   },
   list: {
     padding: 20,
@@ -379,12 +1320,78 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     padding: 20,
   },
+  groupingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+    gap: 8,
+  },
+  groupingLabel: {
+    fontSize: 13,
+    color: colors.textMuted,
+  },
+  groupingOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  groupingOptionSelected: {
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+  },
+  groupingOptionText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    fontWeight: '500',
+  },
+  groupingOptionTextSelected: {
+    color: colors.accent,
+    fontWeight: '600',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+    paddingVertical: 8,
+    marginBottom: 4,
+  },
+  sectionTitleRow: {
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  sectionCount: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  sectionTotals: {
+    alignItems: 'flex-end',
+  },
+  sectionSubtotal: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  sectionIncome: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.success,
+    marginTop: 2,
+  },
   expenseCard: {
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.surface,
     borderRadius: 16,
     padding: 16,
     marginBottom: 12,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: {
       width: 0,
       height: 2,
@@ -393,6 +1400,13 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  incomeCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: colors.success,
+  },
+  expenseCardSelected: {
+    backgroundColor: colors.primarySoft,
+  },
   expenseHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -418,32 +1432,126 @@ const styles = StyleSheet.create({
   categoryText: {
     fontSize: 16,
     fontWeight: '600',
-    color: '#1F2937',
+    color: colors.text,
     marginBottom: 2,
   },
   dateText: {
     fontSize: 14,
-    color: '#6B7280',
+    color: colors.textMuted,
     marginBottom: 2,
   },
   descriptionText: {
     fontSize: 12,
-    color: '#9CA3AF',
+    color: colors.textFaint,
     fontStyle: 'italic',
   },
+  splitRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 2,
+  },
+  splitText: {
+    fontSize: 12,
+    color: colors.accent,
+    fontWeight: '500',
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 4,
+  },
+  tagChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: colors.primarySoft,
+  },
+  tagChipText: {
+    fontSize: 11,
+    color: colors.accent,
+    fontWeight: '500',
+  },
   amountContainer: {
     alignItems: 'flex-end',
   },
   amountText: {
     fontSize: 18,
     fontWeight: '700',
-    color: '#EF4444',
+    color: colors.danger,
+    marginBottom: 8,
+  },
+  incomeAmountText: {
+    color: colors.success,
+  },
+  transferAmountText: {
+    color: colors.textMuted,
+  },
+  convertedText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: -6,
     marginBottom: 8,
   },
   deleteButton: {
     padding: 4,
     borderRadius: 6,
   },
+  receiptThumbnail: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+  },
+  receiptImage: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    backgroundColor: colors.surfaceMuted,
+  },
+  receiptBadge: {
+    position: 'absolute',
+    right: 4,
+    bottom: 4,
+    paddingHorizontal: 4,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  receiptBadgeText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  selectionBar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 20,
+    flexDirection: 'row',
+    backgroundColor: colors.surface,
+    borderRadius: 16,
+    paddingVertical: 10,
+    shadowColor: colors.shadow,
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.15,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  selectionAction: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 2,
+  },
+  selectionActionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.accent,
+  },
+  selectionActionTextDisabled: {
+    color: colors.borderStrong,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -455,13 +1563,13 @@ const styles = StyleSheet.create({
   emptyTitle: {
     fontSize: 24,
     fontWeight: '600',
-    color: '#1F2937',
+    color: colors.text,
     marginBottom: 8,
     textAlign: 'center',
   },
   emptySubtitle: {
     fontSize: 16,
-    color: '#6B7280',
+    color: colors.textMuted,
     textAlign: 'center',
     marginBottom: 32,
     lineHeight: 24,
@@ -469,11 +1577,11 @@ const styles = StyleSheet.create({
   emptyButton: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#4F46E5',
+    backgroundColor: colors.primary,
     paddingHorizontal: 24,
     paddingVertical: 16,
     borderRadius: 16,
-    shadowColor: '#4F46E5',
+    shadowColor: colors.primary,
     shadowOffset: {
       width: 0,
       height: 4,
@@ -486,7 +1594,7 @@ const styles = StyleSheet.create({
     marginRight: 8,
   },
   emptyButtonText: {
-    color: '#FFFFFF',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: '600',
   },
@@ -498,9 +1606,9 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     right: 20,
     bottom: 20,
-    backgroundColor: '#4F46E5',
+    backgroundColor: colors.primary,
     borderRadius: 28,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: {
       width: 0,
       height: 4,
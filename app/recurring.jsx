@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import useCategories from '../hooks/useCategories';
+import { formatAmount, getExpenseCurrency } from '../utils/currency';
+import { getLocale } from '../utils/i18n';
+import { isIncome } from '../constants/transactions';
+import {
+  loadRecurringRules,
+  saveRecurringRules,
+  getFrequencyLabel,
+  getNextOccurrence,
+  setRulePaused,
+} from '../utils/recurring';
+
+const RecurringRulesScreen = () => {
+  const router = useRouter();
+  const { getCategoryIcon, getCategoryColor } = useCategories();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      setRules(await loadRecurringRules());
+    } catch (error) {
+      console.error('Error loading recurring rules:', error);
+      Alert.alert('Error', 'Failed to load recurring expenses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRules = async (updatedRules) => {
+    setRules(updatedRules);
+    try {
+      await saveRecurringRules(updatedRules);
+    } catch (error) {
+      console.error('Error saving recurring rules:', error);
+      Alert.alert('Error', 'Failed to save recurring expenses');
+    }
+  };
+
+  const togglePaused = (id) => {
+    updateRules(rules.map(rule =>
+      rule.id === id ? setRulePaused(rule, !rule.paused) : rule
+    ));
+  };
+
+  const deleteRule = (id) => {
+    Alert.alert(
+      'Delete Recurring Expense',
+      'Expenses that were already posted will be kept. Delete this rule?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => updateRules(rules.filter(rule => rule.id !== id)),
+        },
+      ]
+    );
+  };
+
+  const getStatusText = (rule) => {
+    if (rule.paused) {
+      return 'Paused';
+    }
+    const next = getNextOccurrence(rule);
+    if (!next) {
+      return 'Ended';
+    }
+    return `Next: ${next.toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  };
+
+  const renderRule = ({ item }) => {
+    const categoryColor = getCategoryColor(item.category);
+
+    return (
+      <View style={[styles.ruleCard, item.paused && styles.ruleCardPaused]}>
+        <View style={[styles.iconContainer, { backgroundColor: categoryColor + '20' }]}>
+          <Ionicons name={getCategoryIcon(item.category)} size={20} color={categoryColor} />
+        </View>
+        <View style={styles.ruleInfo}>
+          <Text style={styles.categoryText}>{item.category}</Text>
+          <Text style={styles.detailText}>
+            {isIncome(item) ? '+' : ''}{formatAmount(item.amount, getExpenseCurrency(item))} · {getFrequencyLabel(item.frequency)}
+          </Text>
+          {item.description ? (
+            <Text style={styles.descriptionText} numberOfLines={1}>
+              {item.description}
+            </Text>
+          ) : null}
+          <Text style={styles.statusText}>{getStatusText(item)}</Text>
+        </View>
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => togglePaused(item.id)}
+          >
+            <Ionicons
+              name={item.paused ? 'play-outline' : 'pause-outline'}
+              size={20}
+              color="#4F46E5"
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => deleteRule(item.id)}
+          >
+            <Ionicons name="trash-outline" size={18} color="#EF4444" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const EmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="repeat" size={80} color="#D1D5DB" />
+      <Text style={styles.emptyTitle}>No recurring expenses</Text>
+      <Text style={styles.emptySubtitle}>
+        Choose a repeat option when adding an expense to post it automatically
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Recurring</Text>
+      </View>
+
+      {!loading && (
+        <FlatList
+          data={rules}
+          renderItem={renderRule}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={rules.length === 0 ? styles.emptyList : styles.list}
+          ListEmptyComponent={EmptyState}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 20,
+  },
+  emptyList: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  ruleCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  ruleCardPaused: {
+    opacity: 0.6,
+  },
+  iconContainer: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  ruleInfo: {
+    flex: 1,
+  },
+  categoryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 2,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+  descriptionText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    fontStyle: 'italic',
+    marginBottom: 2,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#4F46E5',
+  },
+  actions: {
+    alignItems: 'center',
+    gap: 8,
+  },
+  actionButton: {
+    padding: 4,
+    borderRadius: 6,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 24,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  emptySubtitle: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default RecurringRulesScreen;
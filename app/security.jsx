@@ -0,0 +1,327 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import {
+  MAX_PIN_LENGTH,
+  RELOCK_OPTIONS,
+  DEFAULT_RELOCK_AFTER,
+  loadPinLock,
+  validatePin,
+  setPin,
+  removePin,
+  setRelockAfter,
+  verifyPin,
+} from '../utils/pinLock';
+
+const SecurityScreen = () => {
+  const router = useRouter();
+  const [pinLock, setPinLock] = useState(null);
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setPinLock(await loadPinLock());
+    } catch (error) {
+      console.error('Error loading PIN lock:', error);
+      Alert.alert('Error', 'Failed to load PIN lock');
+    }
+  };
+
+  const clearInputs = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setConfirmation('');
+  };
+
+  // Changing or removing the PIN needs the current one, with the same
+  // backoff as the lock screen
+  const checkCurrentPin = async () => {
+    const result = await verifyPin(currentPin);
+    if (!result.ok) {
+      const waitSeconds = result.lockedUntil ? Math.ceil((result.lockedUntil - Date.now()) / 1000) : 0;
+      Alert.alert(
+        'Error',
+        waitSeconds > 0 ? `Too many attempts. Try again in ${waitSeconds}s` : 'The current PIN is wrong'
+      );
+    }
+    return result.ok;
+  };
+
+  const handleSavePin = async () => {
+    const error = validatePin(newPin, confirmation);
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+
+    try {
+      setBusy(true);
+      if (pinLock && !(await checkCurrentPin())) {
+        return;
+      }
+      await setPin(newPin, pinLock ? pinLock.relockAfter : DEFAULT_RELOCK_AFTER);
+      clearInputs();
+      Alert.alert('Saved', pinLock ? 'Your PIN has been changed' : 'PIN lock is on');
+      await loadData();
+    } catch (error) {
+      console.error('Error saving PIN:', error);
+      Alert.alert('Error', 'Failed to save PIN');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemovePin = async () => {
+    try {
+      setBusy(true);
+      if (!(await checkCurrentPin())) {
+        return;
+      }
+      await removePin();
+      clearInputs();
+      setPinLock(null);
+    } catch (error) {
+      console.error('Error removing PIN:', error);
+      Alert.alert('Error', 'Failed to turn off PIN lock');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const selectRelockAfter = async (value) => {
+    try {
+      setPinLock(await setRelockAfter(pinLock, value));
+    } catch (error) {
+      console.error('Error saving PIN lock:', error);
+      Alert.alert('Error', 'Failed to save PIN lock');
+    }
+  };
+
+  const renderPinInput = (value, onChangeText, placeholder) => (
+    <TextInput
+      style={styles.input}
+      value={value}
+      onChangeText={(text) => onChangeText(text.replace(/\D/g, ''))}
+      placeholder={placeholder}
+      placeholderTextColor="#9CA3AF"
+      keyboardType="number-pad"
+      maxLength={MAX_PIN_LENGTH}
+      secureTextEntry
+    />
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>PIN Lock</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* PIN */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{pinLock ? 'Change PIN' : 'Turn On PIN Lock'}</Text>
+          <Text style={styles.cardText}>
+            Ask for a PIN whenever the app opens. If you forget it, the only way back in is to
+            reset the app, which deletes the data on this device.
+          </Text>
+          {pinLock && renderPinInput(currentPin, setCurrentPin, 'Current PIN')}
+          {renderPinInput(newPin, setNewPin, 'New PIN')}
+          {renderPinInput(confirmation, setConfirmation, 'Repeat new PIN')}
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleSavePin}
+            disabled={busy}
+          >
+            <Ionicons name="lock-closed-outline" size={20} color="#FFFFFF" />
+            <Text style={styles.primaryButtonText}>{pinLock ? 'Change PIN' : 'Turn On'}</Text>
+          </TouchableOpacity>
+          {pinLock && (
+            <TouchableOpacity
+              style={styles.removeButton}
+              onPress={handleRemovePin}
+              disabled={busy || !currentPin}
+            >
+              <Text style={styles.removeButtonText}>Turn Off PIN Lock</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Re-lock */}
+        {pinLock && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Lock Again After</Text>
+            <Text style={styles.cardText}>
+              How long the app can stay in the background before it asks for the PIN again.
+            </Text>
+            <View style={styles.chipGrid}>
+              {RELOCK_OPTIONS.map(option => {
+                const selected = pinLock.relockAfter === option.value;
+                return (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.chip, selected && styles.chipSelected]}
+                    onPress={() => selectRelockAfter(option.value)}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#4F46E5',
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  removeButton: {
+    alignItems: 'center',
+    paddingVertical: 14,
+    marginTop: 8,
+  },
+  removeButtonText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  chipGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  chipSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+});
+
+export default SecurityScreen;
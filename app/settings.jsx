@@ -0,0 +1,436 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY_SETTINGS,
+  DEFAULT_RATES,
+  loadCurrencySettings,
+  saveCurrencySettings,
+  getRateInBase,
+} from '../utils/currency';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import { THEME_MODES, saveTheme } from '../utils/theme';
+import {
+  LANGUAGES,
+  SYSTEM_LANGUAGE,
+  getLanguageSetting,
+  getSystemLanguage,
+  saveLanguage,
+  normalizeDecimalInput,
+  formatDecimalInput,
+  t,
+} from '../utils/i18n';
+
+// Labels are the screens.* translation keys named after the route
+const LINKS = [
+  { route: '/categories', icon: 'pricetags-outline' },
+  { route: '/accounts', icon: 'wallet-outline' },
+  { route: '/recurring', icon: 'repeat' },
+  { route: '/importExport', icon: 'swap-vertical' },
+  { route: '/backup', icon: 'cloud-upload-outline' },
+  { route: '/security', icon: 'lock-closed-outline' },
+  { route: '/balances', icon: 'people-outline' },
+  { route: '/trash', icon: 'trash-outline' },
+];
+
+const toRateInput = (value) => formatDecimalInput(Number(value.toPrecision(6)));
+
+const getRateInputs = (currencySettings) => {
+  const inputs = {};
+  CURRENCIES.forEach(({ code }) => {
+    inputs[code] = toRateInput(getRateInBase(code, currencySettings));
+  });
+  return inputs;
+};
+
+const SettingsScreen = () => {
+  const router = useRouter();
+  // Re-render in the new language when it changes here
+  useLocale();
+  const { setting: themeSetting } = useTheme();
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [rateInputs, setRateInputs] = useState(getRateInputs(DEFAULT_CURRENCY_SETTINGS));
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const loadedSettings = await loadCurrencySettings();
+      setCurrencySettings(loadedSettings);
+      setRateInputs(getRateInputs(loadedSettings));
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      Alert.alert(t('common.error'), t('settings.loadFailed'));
+    }
+  };
+
+  const updateSettings = async (newSettings) => {
+    setCurrencySettings(newSettings);
+    setRateInputs(getRateInputs(newSettings));
+    try {
+      await saveCurrencySettings(newSettings);
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      Alert.alert(t('common.error'), t('settings.saveFailed'));
+    }
+  };
+
+  const selectBaseCurrency = (code) => {
+    updateSettings({ ...currencySettings, baseCurrency: code });
+  };
+
+  const updateRateInput = (code, value) => {
+    setRateInputs(prev => ({ ...prev, [code]: value }));
+  };
+
+  // Rates are entered against the base currency but stored against USD
+  const handleSaveRates = () => {
+    const { baseCurrency, rates } = currencySettings;
+    const newRates = { ...rates };
+
+    for (const { code } of CURRENCIES) {
+      if (code === baseCurrency) {
+        continue;
+      }
+      const value = parseFloat(normalizeDecimalInput(rateInputs[code]));
+      if (isNaN(value) || value <= 0) {
+        Alert.alert(t('common.error'), t('settings.invalidRate', { code }));
+        return;
+      }
+      newRates[code] = value * rates[baseCurrency];
+    }
+
+    updateSettings({ ...currencySettings, rates: newRates });
+    Alert.alert(t('settings.ratesSavedTitle'), t('settings.ratesSaved'));
+  };
+
+  const selectLanguage = async (setting) => {
+    try {
+      await saveLanguage(setting);
+      setRateInputs(getRateInputs(currencySettings));
+    } catch (error) {
+      console.error('Error saving language:', error);
+      Alert.alert(t('common.error'), t('settings.languageFailed'));
+    }
+  };
+
+  const selectTheme = async (setting) => {
+    try {
+      await saveTheme(setting);
+    } catch (error) {
+      console.error('Error saving theme:', error);
+      Alert.alert(t('common.error'), t('settings.themeFailed'));
+    }
+  };
+
+  const resetRates = () => {
+    Alert.alert(
+      t('settings.resetRatesTitle'),
+      t('settings.resetRatesMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('settings.reset'),
+          style: 'destructive',
+          onPress: () => updateSettings({ ...currencySettings, rates: DEFAULT_RATES }),
+        },
+      ]
+    );
+  };
+
+  const { baseCurrency } = currencySettings;
+  const languageSetting = getLanguageSetting();
+  const systemLanguageLabel = LANGUAGES.find(item => item.value === getSystemLanguage()).label;
+  const languageOptions = [
+    { value: SYSTEM_LANGUAGE, label: t('settings.systemLanguage', { language: systemLanguageLabel }) },
+    ...LANGUAGES,
+  ];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t('settings.title')}</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Language */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('settings.language')}</Text>
+          <Text style={styles.cardText}>{t('settings.languageHint')}</Text>
+          <View style={styles.chipGrid}>
+            {languageOptions.map(({ value, label }) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.chip, languageSetting === value && styles.chipSelected]}
+                onPress={() => selectLanguage(value)}
+              >
+                <Text style={[styles.chipText, languageSetting === value && styles.chipTextSelected]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Appearance */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('settings.theme')}</Text>
+          <Text style={styles.cardText}>{t('settings.themeHint')}</Text>
+          <View style={styles.chipGrid}>
+            {THEME_MODES.map(mode => (
+              <TouchableOpacity
+                key={mode}
+                style={[styles.chip, themeSetting === mode && styles.chipSelected]}
+                onPress={() => selectTheme(mode)}
+              >
+                <Text style={[styles.chipText, themeSetting === mode && styles.chipTextSelected]}>
+                  {t(`themes.${mode}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Base Currency */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('settings.baseCurrency')}</Text>
+          <Text style={styles.cardText}>{t('settings.baseCurrencyHint')}</Text>
+          <View style={styles.chipGrid}>
+            {CURRENCIES.map(({ code }) => (
+              <TouchableOpacity
+                key={code}
+                style={[styles.chip, baseCurrency === code && styles.chipSelected]}
+                onPress={() => selectBaseCurrency(code)}
+              >
+                <Text style={[styles.chipText, baseCurrency === code && styles.chipTextSelected]}>
+                  {code}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Exchange Rates */}
+        <View style={styles.card}>
+          <View style={styles.cardTitleRow}>
+            <Text style={styles.cardTitle}>{t('settings.rates')}</Text>
+            <TouchableOpacity onPress={resetRates}>
+              <Text style={styles.linkText}>{t('settings.reset')}</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.cardText}>{t('settings.ratesHint')}</Text>
+          {CURRENCIES.filter(({ code }) => code !== baseCurrency).map(({ code }) => (
+            <View key={code} style={styles.rateRow}>
+              <Text style={styles.rateLabel}>{t('settings.rateLabel', { code })}</Text>
+              <TextInput
+                style={styles.rateInput}
+                value={rateInputs[code]}
+                onChangeText={(value) => updateRateInput(code, value)}
+                keyboardType="decimal-pad"
+              />
+              <Text style={styles.rateLabel}>{baseCurrency}</Text>
+            </View>
+          ))}
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleSaveRates}
+          >
+            <Ionicons name="checkmark" size={20} color="#FFFFFF" />
+            <Text style={styles.primaryButtonText}>{t('settings.saveRates')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Other screens */}
+        <View style={styles.card}>
+          {LINKS.map((link, index) => (
+            <TouchableOpacity
+              key={link.route}
+              style={[styles.linkRow, index > 0 && styles.linkRowBorder]}
+              onPress={() => router.push(link.route)}
+            >
+              <Ionicons name={link.icon} size={20} color="#4F46E5" />
+              <Text style={styles.linkRowText}>{t(`screens.${link.route.slice(1)}`)}</Text>
+              <Ionicons name="chevron-forward" size={18} color="#9CA3AF" />
+            </TouchableOpacity>
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardTitleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4F46E5',
+  },
+  chipGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  chipSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  rateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+    gap: 8,
+  },
+  rateLabel: {
+    width: 64,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+  },
+  rateInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#4F46E5',
+    marginTop: 8,
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    gap: 12,
+  },
+  linkRowBorder: {
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+  },
+  linkRowText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+});
+
+export default SettingsScreen;
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import useCategories from '../hooks/useCategories';
+import { formatAmount, getExpenseCurrency } from '../utils/currency';
+import { formatDisplayDate } from '../utils/dates';
+import {
+  TRASH_RETENTION_DAYS,
+  loadTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  getPurgeDate,
+} from '../utils/trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TrashScreen = () => {
+  const router = useRouter();
+  const { getCategoryIcon, getCategoryColor } = useCategories();
+  const [trash, setTrash] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setTrash(await loadTrash());
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      Alert.alert('Error', 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreExpense = async (id) => {
+    try {
+      await restoreFromTrash([id]);
+      setTrash(trash.filter(item => item.id !== id));
+    } catch (error) {
+      console.error('Error restoring expense:', error);
+      Alert.alert('Error', 'Failed to restore expense');
+    }
+  };
+
+  const purgeExpenses = async (ids) => {
+    try {
+      setTrash(await purgeFromTrash(ids));
+    } catch (error) {
+      console.error('Error purging expenses:', error);
+      Alert.alert('Error', 'Failed to delete expenses');
+    }
+  };
+
+  const confirmPurge = (id) => {
+    Alert.alert(
+      'Delete Forever',
+      'This expense will be deleted permanently. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => purgeExpenses([id]) },
+      ]
+    );
+  };
+
+  const confirmEmptyTrash = () => {
+    Alert.alert(
+      'Empty Trash',
+      `Permanently delete ${trash.length} expense${trash.length === 1 ? '' : 's'}? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty Trash',
+          style: 'destructive',
+          onPress: () => purgeExpenses(trash.map(item => item.id)),
+        },
+      ]
+    );
+  };
+
+  const getDaysLeftText = (item) => {
+    const daysLeft = Math.max(Math.ceil((getPurgeDate(item) - new Date()) / DAY_MS), 0);
+    return daysLeft === 1 ? 'Deleted for good in 1 day' : `Deleted for good in ${daysLeft} days`;
+  };
+
+  const renderItem = ({ item }) => {
+    const categoryColor = getCategoryColor(item.category);
+
+    return (
+      <View style={styles.expenseCard}>
+        <View style={[styles.iconContainer, { backgroundColor: categoryColor + '20' }]}>
+          <Ionicons name={getCategoryIcon(item.category)} size={20} color={categoryColor} />
+        </View>
+        <View style={styles.expenseInfo}>
+          <Text style={styles.categoryText}>{item.category}</Text>
+          <Text style={styles.detailText}>
+            {formatAmount(item.amount, getExpenseCurrency(item))} · {formatDisplayDate(item.date)}
+          </Text>
+          {item.description ? (
+            <Text style={styles.descriptionText} numberOfLines={1}>
+              {item.description}
+            </Text>
+          ) : null}
+          <Text style={styles.statusText}>{getDaysLeftText(item)}</Text>
+        </View>
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => restoreExpense(item.id)}
+          >
+            <Ionicons name="arrow-undo-outline" size={20} color="#4F46E5" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => confirmPurge(item.id)}
+          >
+            <Ionicons name="close-circle-outline" size={20} color="#EF4444" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const EmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="trash-outline" size={80} color="#D1D5DB" />
+      <Text style={styles.emptyTitle}>Trash is empty</Text>
+      <Text style={styles.emptySubtitle}>
+        Deleted expenses stay here for {TRASH_RETENTION_DAYS} days before they are removed for good
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#FFFFFF" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={20} color="#4F46E5" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Trash</Text>
+        {trash.length > 0 && (
+          <TouchableOpacity
+            style={styles.headerLink}
+            onPress={confirmEmptyTrash}
+          >
+            <Text style={styles.headerLinkText}>Empty</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!loading && (
+        <FlatList
+          data={trash}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={trash.length === 0 ? styles.emptyList : styles.list}
+          ListEmptyComponent={EmptyState}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+    paddingTop: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    gap: 12,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerLink: {
+    marginLeft: 'auto',
+  },
+  headerLinkText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#EF4444',
+  },
+  list: {
+    padding: 20,
+  },
+  emptyList: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  expenseCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  iconContainer: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  expenseInfo: {
+    flex: 1,
+  },
+  categoryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 2,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+  descriptionText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    fontStyle: 'italic',
+    marginBottom: 2,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#EF4444',
+  },
+  actions: {
+    alignItems: 'center',
+    gap: 8,
+  },
+  actionButton: {
+    padding: 4,
+    borderRadius: 6,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 24,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  emptySubtitle: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default TrashScreen;
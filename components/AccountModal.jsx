@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CURRENCIES, getCurrencySymbol } from '../utils/currency';
+import { ACCOUNT_ICONS, validateAccount } from '../utils/accounts';
+
+const AccountModal = ({
+  visible,
+  onClose,
+  onSave,
+  account = null,
+  accounts,
+  baseCurrency,
+}) => {
+  const [name, setName] = useState('');
+  const [icon, setIcon] = useState(ACCOUNT_ICONS[0]);
+  const [currency, setCurrency] = useState(baseCurrency);
+  const [openingBalance, setOpeningBalance] = useState('');
+
+  const isEditing = account !== null;
+
+  // Prefill the form when editing; new accounts start empty in the base currency
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    setName(account ? account.name : '');
+    setIcon(account ? account.icon : ACCOUNT_ICONS[0]);
+    setCurrency(account ? account.currency : baseCurrency);
+    setOpeningBalance(account ? String(account.openingBalance) : '');
+  }, [visible, account, baseCurrency]);
+
+  const handleSave = () => {
+    // Card accounts may start out owing money, so negative balances are allowed
+    const fields = {
+      name: name.trim(),
+      icon,
+      currency,
+      openingBalance: openingBalance.trim() ? parseFloat(openingBalance) : 0,
+    };
+    const validationError = validateAccount(fields, accounts, account && account.id);
+    if (validationError) {
+      Alert.alert('Error', validationError);
+      return;
+    }
+
+    onSave(fields);
+    onClose();
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.modalOverlay}
+      >
+        <View style={styles.modalContainer}>
+          {/* Modal Header */}
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>
+              {isEditing ? 'Edit Account' : 'New Account'}
+            </Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+            >
+              <Ionicons name="close" size={24} color="#6B7280" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView
+            style={styles.scrollContainer}
+            showsVerticalScrollIndicator={false}
+          >
+            <View style={styles.formContainer}>
+              {/* Name Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>
+                  Name <Text style={styles.required}>*</Text>
+                </Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="e.g. Corporate Card"
+                  value={name}
+                  onChangeText={setName}
+                  placeholderTextColor="#9CA3AF"
+                />
+              </View>
+
+              {/* Opening Balance */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Opening Balance</Text>
+                <View style={styles.amountInputContainer}>
+                  <Text style={styles.currencySymbol}>{getCurrencySymbol(currency)}</Text>
+                  <TextInput
+                    style={styles.amountInput}
+                    placeholder="0.00"
+                    value={openingBalance}
+                    onChangeText={setOpeningBalance}
+                    keyboardType="numbers-and-punctuation"
+                    placeholderTextColor="#9CA3AF"
+                  />
+                </View>
+                <Text style={styles.hintText}>
+                  Use a negative amount for a card that already has money owing.
+                </Text>
+              </View>
+
+              {/* Currency */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Currency</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                  {CURRENCIES.map((item) => (
+                    <TouchableOpacity
+                      key={item.code}
+                      style={[styles.chip, currency === item.code && styles.chipSelected]}
+                      onPress={() => setCurrency(item.code)}
+                    >
+                      <Text style={[
+                        styles.chipText,
+                        currency === item.code && styles.chipTextSelected
+                      ]}>
+                        {item.code}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              </View>
+
+              {/* Icon */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Icon</Text>
+                <View style={styles.iconGrid}>
+                  {ACCOUNT_ICONS.map((item) => (
+                    <TouchableOpacity
+                      key={item}
+                      style={[styles.iconButton, icon === item && styles.iconButtonSelected]}
+                      onPress={() => setIcon(item)}
+                    >
+                      <Ionicons name={item} size={20} color={icon === item ? '#4F46E5' : '#6B7280'} />
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            </View>
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleSave}
+            >
+              <Ionicons name="checkmark" size={20} color="#FFFFFF" />
+              <Text style={styles.saveButtonText}>Save Account</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  scrollContainer: {
+    flexGrow: 0,
+  },
+  formContainer: {
+    padding: 20,
+  },
+  inputContainer: {
+    marginBottom: 24,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  required: {
+    color: '#EF4444',
+    fontSize: 14,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#1F2937',
+    backgroundColor: '#FFFFFF',
+  },
+  amountInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  currencySymbol: {
+    fontSize: 18,
+    fontWeight: '500',
+    color: '#4F46E5',
+    paddingLeft: 16,
+    paddingRight: 4,
+  },
+  amountInput: {
+    flex: 1,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#1F2937',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+    marginRight: 8,
+  },
+  chipSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  iconGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  iconButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  iconButtonSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  cancelButtonText: {
+    color: '#6B7280',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  saveButton: {
+    flex: 2,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    backgroundColor: '#4F46E5',
+    gap: 8,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AccountModal;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import { DEFAULT_CATEGORIES } from '../constants/categories';
+import { DEFAULT_CURRENCY, getCurrencySymbol } from '../utils/currency';
+import { normalizeDecimalInput, formatDecimalInput } from '../utils/i18n';
+
+const toInputValue = (value) =>
+  (value === null || value === undefined ? '' : formatDecimalInput(value));
+
+const BudgetModal = ({
+  visible,
+  onClose,
+  onSave,
+  budgets,
+  baseCurrency = DEFAULT_CURRENCY,
+  categories = DEFAULT_CATEGORIES,
+}) => {
+  const { t } = useLocale();
+  const { colors, readableColor } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [overall, setOverall] = useState('');
+  const [categoryBudgets, setCategoryBudgets] = useState({});
+
+  // Load the saved budgets into the form each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setOverall(toInputValue(budgets.overall));
+      const values = {};
+      categories.forEach(cat => {
+        values[cat.name] = toInputValue(budgets.categories[cat.name]);
+      });
+      setCategoryBudgets(values);
+    }
+  }, [visible, budgets, categories]);
+
+  const updateCategoryBudget = (name, value) => {
+    setCategoryBudgets(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Empty inputs mean "no budget"; anything else must be a positive number,
+  // typed with the locale's decimal separator
+  const parseBudget = (value) => {
+    if (!value.trim()) {
+      return { value: null, valid: true };
+    }
+    const numValue = parseFloat(normalizeDecimalInput(value));
+    return { value: numValue, valid: !isNaN(numValue) && numValue > 0 };
+  };
+
+  const handleSave = () => {
+    const parsedOverall = parseBudget(overall);
+    if (!parsedOverall.valid) {
+      Alert.alert(t('common.error'), t('budgetModal.invalidOverall'));
+      return;
+    }
+
+    const categoryValues = {};
+    for (const cat of categories) {
+      const parsed = parseBudget(categoryBudgets[cat.name] || '');
+      if (!parsed.valid) {
+        Alert.alert(t('common.error'), t('budgetModal.invalidCategory', { category: cat.name }));
+        return;
+      }
+      if (parsed.value !== null) {
+        categoryValues[cat.name] = parsed.value;
+      }
+    }
+
+    onSave({ overall: parsedOverall.value, categories: categoryValues });
+    onClose();
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.modalOverlay}
+      >
+        <View style={styles.modalContainer}>
+          {/* Modal Header */}
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{t('budgetModal.title', { currency: baseCurrency })}</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+            >
+              <Ionicons name="close" size={24} color={colors.textMuted} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView
+            style={styles.scrollContainer}
+            showsVerticalScrollIndicator={false}
+          >
+            <View style={styles.formContainer}>
+              {/* Overall Budget */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>{t('budgetModal.overall')}</Text>
+                <View style={styles.amountInputContainer}>
+                  <Text style={styles.currencySymbol}>{getCurrencySymbol(baseCurrency)}</Text>
+                  <TextInput
+                    style={styles.amountInput}
+                    placeholder={t('budgetModal.noBudget')}
+                    value={overall}
+                    onChangeText={setOverall}
+                    keyboardType="decimal-pad"
+                    placeholderTextColor={colors.textFaint}
+                  />
+                </View>
+              </View>
+
+              {/* Category Budgets */}
+              <Text style={styles.sectionTitle}>{t('budgetModal.byCategory')}</Text>
+              {categories.map((cat) => (
+                <View key={cat.name} style={styles.categoryRow}>
+                  <View style={styles.categoryLabel}>
+                    <View style={[styles.categoryIcon, { backgroundColor: readableColor(cat.color) + '20' }]}>
+                      <Ionicons name={cat.icon} size={18} color={readableColor(cat.color)} />
+                    </View>
+                    <Text style={styles.categoryText}>{cat.name}</Text>
+                  </View>
+                  <View style={[styles.amountInputContainer, styles.categoryInput]}>
+                    <Text style={styles.currencySymbol}>{getCurrencySymbol(baseCurrency)}</Text>
+                    <TextInput
+                      style={styles.amountInput}
+                      placeholder="—"
+                      value={categoryBudgets[cat.name] || ''}
+                      onChangeText={(value) => updateCategoryBudget(cat.name, value)}
+                      keyboardType="decimal-pad"
+                      placeholderTextColor={colors.textFaint}
+                    />
+                  </View>
+                </View>
+              ))}
+            </View>
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleSave}
+            >
+              <Ionicons name="checkmark" size={20} color={colors.onPrimary} />
+              <Text style={styles.saveButtonText}>{t('budgetModal.save')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+    minHeight: '60%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  scrollContainer: {
+    flex: 1,
+  },
+  formContainer: {
+    padding: 20,
+  },
+  inputContainer: {
+    marginBottom: 24,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.textSecondary,
+    marginBottom: 12,
+  },
+  amountInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 12,
+    backgroundColor: colors.surface,
+  },
+  currencySymbol: {
+    fontSize: 18,
+    fontWeight: '500',
+    color: colors.accent,
+    paddingLeft: 16,
+    paddingRight: 4,
+  },
+  amountInput: {
+    flex: 1,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: colors.text,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  categoryLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  categoryIcon: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  categoryText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.text,
+  },
+  categoryInput: {
+    width: 140,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: colors.surfaceMuted,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+  },
+  cancelButtonText: {
+    color: colors.textMuted,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  saveButton: {
+    flex: 2,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    backgroundColor: colors.primary,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default BudgetModal;
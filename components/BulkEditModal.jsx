@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateField from './DateField';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import { DEFAULT_CATEGORIES } from '../constants/categories';
+import { toISODate } from '../utils/dates';
+
+// Picks a new category or date for every selected expense. `mode` is
+// 'category' or 'date'; `onApply` receives the fields to change.
+const BulkEditModal = ({
+  visible,
+  mode,
+  onClose,
+  onApply,
+  count,
+  categories = DEFAULT_CATEGORIES,
+}) => {
+  const { t } = useLocale();
+  const { colors, readableColor } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [category, setCategory] = useState('');
+  const [date, setDate] = useState('');
+
+  const isCategoryMode = mode === 'category';
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    setCategory('');
+    setDate(toISODate(new Date()));
+  }, [visible]);
+
+  const handleApply = () => {
+    if (isCategoryMode ? !category : !date) {
+      Alert.alert(t('common.error'), t(isCategoryMode ? 'bulkEdit.chooseCategory' : 'bulkEdit.chooseDate'));
+      return;
+    }
+    onApply(isCategoryMode ? { category } : { date });
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          {/* Modal Header */}
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>
+              {t(isCategoryMode ? 'bulkEdit.categoryTitle' : 'bulkEdit.dateTitle')}
+            </Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+            >
+              <Ionicons name="close" size={24} color={colors.textMuted} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView
+            style={styles.scrollContainer}
+            showsVerticalScrollIndicator={false}
+          >
+            <View style={styles.formContainer}>
+              <Text style={styles.hintText}>
+                {t('bulkEdit.selected', { count })}
+              </Text>
+
+              {isCategoryMode ? (
+                <View style={styles.categoryGrid}>
+                  {categories.map((cat) => (
+                    <TouchableOpacity
+                      key={cat.name}
+                      style={[
+                        styles.categoryButton,
+                        category === cat.name && styles.categoryButtonSelected
+                      ]}
+                      onPress={() => setCategory(cat.name)}
+                    >
+                      <View style={[styles.categoryIcon, { backgroundColor: readableColor(cat.color) + '20' }]}>
+                        <Ionicons name={cat.icon} size={20} color={readableColor(cat.color)} />
+                      </View>
+                      <Text style={[
+                        styles.categoryText,
+                        category === cat.name && styles.categoryTextSelected
+                      ]}>
+                        {cat.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ) : (
+                <DateField value={date} onChange={setDate} />
+              )}
+            </View>
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleApply}
+            >
+              <Ionicons name="checkmark" size={20} color={colors.onPrimary} />
+              <Text style={styles.saveButtonText}>{t('common.apply')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  scrollContainer: {
+    flexGrow: 0,
+  },
+  formContainer: {
+    padding: 20,
+  },
+  hintText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 16,
+  },
+  categoryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  categoryButton: {
+    width: '23%',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    marginBottom: 8,
+  },
+  categoryButtonSelected: {
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+  },
+  categoryIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  categoryText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    fontWeight: '500',
+  },
+  categoryTextSelected: {
+    color: colors.accent,
+    fontWeight: '600',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: colors.surfaceMuted,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+  },
+  cancelButtonText: {
+    color: colors.textMuted,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  saveButton: {
+    flex: 2,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    backgroundColor: colors.primary,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default BulkEditModal;
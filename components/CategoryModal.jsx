@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CATEGORY_ICONS, CATEGORY_COLORS } from '../constants/categories';
+import { EXPENSE_TYPE, TRANSFER_TYPE, TRANSACTION_TYPES } from '../constants/transactions';
+import { validateCategoryName } from '../utils/categories';
+
+// Transfers don't use categories
+const CATEGORY_TYPES = TRANSACTION_TYPES.filter(item => item.value !== TRANSFER_TYPE);
+
+const CategoryModal = ({
+  visible,
+  onClose,
+  onSave,
+  category = null,
+  categories,
+}) => {
+  const [name, setName] = useState('');
+  const [icon, setIcon] = useState(CATEGORY_ICONS[0]);
+  const [color, setColor] = useState(CATEGORY_COLORS[0]);
+  const [type, setType] = useState(EXPENSE_TYPE);
+
+  const isEditing = category !== null;
+
+  // Prefill the form when editing, start from the first icon and colour otherwise
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    setName(category ? category.name : '');
+    setIcon(category ? category.icon : CATEGORY_ICONS[0]);
+    setColor(category ? category.color : CATEGORY_COLORS[0]);
+    setType(EXPENSE_TYPE);
+  }, [visible, category]);
+
+  const handleSave = () => {
+    const validationError = validateCategoryName(name, categories, category && category.id);
+    if (validationError) {
+      Alert.alert('Error', validationError);
+      return;
+    }
+
+    const fields = { name: name.trim(), icon, color };
+    // A category keeps the type it was created with
+    onSave(isEditing ? fields : { ...fields, type });
+    onClose();
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.modalOverlay}
+      >
+        <View style={styles.modalContainer}>
+          {/* Modal Header */}
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>
+              {isEditing ? 'Edit Category' : 'New Category'}
+            </Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+            >
+              <Ionicons name="close" size={24} color="#6B7280" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView
+            style={styles.scrollContainer}
+            showsVerticalScrollIndicator={false}
+          >
+            <View style={styles.formContainer}>
+              {/* Preview */}
+              <View style={styles.preview}>
+                <View style={[styles.previewIcon, { backgroundColor: color + '20' }]}>
+                  <Ionicons name={icon} size={28} color={color} />
+                </View>
+              </View>
+
+              {/* Name Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>
+                  Name <Text style={styles.required}>*</Text>
+                </Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="e.g. Groceries"
+                  value={name}
+                  onChangeText={setName}
+                  placeholderTextColor="#9CA3AF"
+                />
+                {isEditing && (
+                  <Text style={styles.hintText}>
+                    Renaming updates every expense in this category.
+                  </Text>
+                )}
+              </View>
+
+              {/* Type (new categories only) */}
+              {!isEditing && (
+                <View style={styles.inputContainer}>
+                  <Text style={styles.inputLabel}>Used for</Text>
+                  <View style={styles.typeRow}>
+                    {CATEGORY_TYPES.map((item) => (
+                      <TouchableOpacity
+                        key={item.value}
+                        style={[styles.typeChip, type === item.value && styles.typeChipSelected]}
+                        onPress={() => setType(item.value)}
+                      >
+                        <Text style={[
+                          styles.typeChipText,
+                          type === item.value && styles.typeChipTextSelected
+                        ]}>
+                          {item.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              )}
+
+              {/* Colour */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Colour</Text>
+                <View style={styles.swatchGrid}>
+                  {CATEGORY_COLORS.map((item) => (
+                    <TouchableOpacity
+                      key={item}
+                      style={[
+                        styles.swatch,
+                        { backgroundColor: item },
+                        color === item && styles.swatchSelected,
+                      ]}
+                      onPress={() => setColor(item)}
+                    >
+                      {color === item && <Ionicons name="checkmark" size={18} color="#FFFFFF" />}
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              {/* Icon */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Icon</Text>
+                <View style={styles.iconGrid}>
+                  {CATEGORY_ICONS.map((item) => (
+                    <TouchableOpacity
+                      key={item}
+                      style={[styles.iconButton, icon === item && styles.iconButtonSelected]}
+                      onPress={() => setIcon(item)}
+                    >
+                      <Ionicons name={item} size={20} color={icon === item ? color : '#6B7280'} />
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            </View>
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleSave}
+            >
+              <Ionicons name="checkmark" size={20} color="#FFFFFF" />
+              <Text style={styles.saveButtonText}>Save Category</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+    minHeight: '60%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  scrollContainer: {
+    flex: 1,
+  },
+  formContainer: {
+    padding: 20,
+  },
+  preview: {
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  previewIcon: {
+    width: 64,
+    height: 64,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  inputContainer: {
+    marginBottom: 24,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  required: {
+    color: '#EF4444',
+    fontSize: 14,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#1F2937',
+    backgroundColor: '#FFFFFF',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  typeChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    backgroundColor: '#FFFFFF',
+  },
+  typeChipSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  typeChipText: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  typeChipTextSelected: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  swatchGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  swatch: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  swatchSelected: {
+    borderWidth: 3,
+    borderColor: '#1F2937',
+  },
+  iconGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  iconButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  iconButtonSelected: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  cancelButtonText: {
+    color: '#6B7280',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  saveButton: {
+    flex: 2,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    backgroundColor: '#4F46E5',
+    gap: 8,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default CategoryModal;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker, { DateTimePickerAndroid } from '@react-native-community/datetimepicker';
+import { parseDate, isValidDate, normalizeDate, toISODate, formatDisplayDate } from '../utils/dates';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+
+// Tappable date input that opens the platform calendar. The value is a
+// YYYY-MM-DD string, or '' when no date is picked.
+const DateField = ({
+  value,
+  onChange,
+  placeholder,
+  minimumDate,
+  clearable = false,
+  style,
+}) => {
+  const { t } = useLocale();
+  const { colors, scheme } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const placeholderText = placeholder || t('dateField.placeholder');
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [webText, setWebText] = useState(value);
+
+  useEffect(() => {
+    setWebText(value);
+  }, [value]);
+
+  const parsedValue = parseDate(value);
+  const pickerDate = value && isValidDate(parsedValue) ? parsedValue : new Date();
+
+  const handlePicked = (event, selectedDate) => {
+    setPickerVisible(false);
+    if (event.type === 'set' && selectedDate) {
+      onChange(toISODate(selectedDate));
+    }
+  };
+
+  const openPicker = () => {
+    if (Platform.OS === 'android') {
+      DateTimePickerAndroid.open({
+        value: pickerDate,
+        mode: 'date',
+        minimumDate,
+        onChange: handlePicked,
+      });
+    } else {
+      setPickerVisible(true);
+    }
+  };
+
+  // The calendar isn't available on web, so dates are typed there instead
+  // and only passed on once a whole YYYY-MM-DD day has been typed
+  if (Platform.OS === 'web') {
+    const handleWebText = (text) => {
+      setWebText(text);
+      if (text === '' || normalizeDate(text) === text) {
+        onChange(text);
+      }
+    };
+
+    return (
+      <TextInput
+        style={[styles.field, styles.fieldText, style]}
+        placeholder={`${placeholderText} (YYYY-MM-DD)`}
+        value={webText}
+        onChangeText={handleWebText}
+        placeholderTextColor={colors.textFaint}
+        maxLength={10}
+      />
+    );
+  }
+
+  return (
+    <View style={style}>
+      <TouchableOpacity style={styles.field} onPress={openPicker}>
+        <Ionicons name="calendar-outline" size={18} color={colors.accent} />
+        <Text style={[styles.fieldText, !value && styles.placeholderText]} numberOfLines={1}>
+          {value ? formatDisplayDate(value) : placeholderText}
+        </Text>
+        {clearable && value !== '' && (
+          <TouchableOpacity onPress={() => onChange('')}>
+            <Ionicons name="close-circle" size={18} color={colors.textFaint} />
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+      {/* iOS shows the calendar in an overlay so it fits next to other inputs */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={pickerVisible}
+        onRequestClose={() => setPickerVisible(false)}
+      >
+        <TouchableOpacity
+          style={styles.overlay}
+          activeOpacity={1}
+          onPress={() => setPickerVisible(false)}
+        >
+          <View style={styles.calendar} onStartShouldSetResponder={() => true}>
+            <DateTimePicker
+              value={pickerDate}
+              mode="date"
+              display="inline"
+              themeVariant={scheme}
+              minimumDate={minimumDate}
+              onChange={handlePicked}
+            />
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  field: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    backgroundColor: colors.surface,
+    gap: 8,
+  },
+  fieldText: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+  },
+  placeholderText: {
+    color: colors.textFaint,
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  calendar: {
+    backgroundColor: colors.surface,
+    borderRadius: 16,
+    padding: 8,
+  },
+});
+
+export default DateField;
@@ -0,0 +1,321 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateField from './DateField';
+import { DEFAULT_FILTERS, SORT_OPTIONS, isFiltering } from '../utils/filters';
+import { getCurrencySymbol } from '../utils/currency';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+
+const ExpenseFilters = ({
+  filters,
+  onChange,
+  categories,
+  tags = [],
+  baseCurrency,
+}) => {
+  const { t } = useLocale();
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [expanded, setExpanded] = useState(false);
+
+  const update = (changes) => {
+    onChange({ ...filters, ...changes });
+  };
+
+  const toggleCategory = (name) => {
+    const selected = filters.categories.includes(name)
+      ? filters.categories.filter(category => category !== name)
+      : [...filters.categories, name];
+    update({ categories: selected });
+  };
+
+  const toggleTag = (tag) => {
+    const selected = filters.tags.includes(tag)
+      ? filters.tags.filter(item => item !== tag)
+      : [...filters.tags, tag];
+    update({ tags: selected });
+  };
+
+  const selectSort = (sortBy) => {
+    // Tapping the active sort flips its direction
+    if (filters.sortBy === sortBy) {
+      update({ sortDirection: filters.sortDirection === 'asc' ? 'desc' : 'asc' });
+    } else {
+      update({ sortBy, sortDirection: sortBy === 'category' ? 'asc' : 'desc' });
+    }
+  };
+
+  const clearFilters = () => {
+    onChange({
+      ...DEFAULT_FILTERS,
+      sortBy: filters.sortBy,
+      sortDirection: filters.sortDirection,
+    });
+  };
+
+  const active = isFiltering(filters);
+
+  return (
+    <View style={styles.container}>
+      {/* Search */}
+      <View style={styles.searchRow}>
+        <View style={styles.searchInputContainer}>
+          <Ionicons name="search" size={18} color={colors.textFaint} />
+          <TextInput
+            style={styles.searchInput}
+            placeholder={t('filters.search')}
+            value={filters.query}
+            onChangeText={(query) => update({ query })}
+            placeholderTextColor={colors.textFaint}
+          />
+          {filters.query !== '' && (
+            <TouchableOpacity onPress={() => update({ query: '' })}>
+              <Ionicons name="close-circle" size={18} color={colors.textFaint} />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.filterButton, (expanded || active) && styles.filterButtonActive]}
+          onPress={() => setExpanded(!expanded)}
+        >
+          <Ionicons
+            name="options-outline"
+            size={20}
+            color={expanded || active ? colors.onPrimary : colors.accent}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {expanded && (
+        <View style={styles.panel}>
+          {/* Categories */}
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {categories.map((name) => {
+              const selected = filters.categories.includes(name);
+              return (
+                <TouchableOpacity
+                  key={name}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => toggleCategory(name)}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                    {name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          {/* Tags */}
+          {tags.length > 0 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {tags.map((tag) => {
+                const selected = filters.tags.includes(tag);
+                return (
+                  <TouchableOpacity
+                    key={tag}
+                    style={[styles.chip, selected && styles.chipSelected]}
+                    onPress={() => toggleTag(tag)}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                      #{tag}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          )}
+
+          {/* Date Range */}
+          <View style={styles.rangeRow}>
+            <DateField
+              style={styles.rangeDate}
+              placeholder={t('filters.from')}
+              value={filters.dateFrom}
+              onChange={(dateFrom) => update({ dateFrom })}
+              clearable
+            />
+            <Text style={styles.rangeSeparator}>–</Text>
+            <DateField
+              style={styles.rangeDate}
+              placeholder={t('filters.to')}
+              value={filters.dateTo}
+              onChange={(dateTo) => update({ dateTo })}
+              clearable
+            />
+          </View>
+
+          {/* Amount Range */}
+          <View style={styles.rangeRow}>
+            <TextInput
+              style={styles.rangeInput}
+              placeholder={t('filters.min', { symbol: getCurrencySymbol(baseCurrency) })}
+              value={filters.minAmount}
+              onChangeText={(minAmount) => update({ minAmount })}
+              keyboardType="decimal-pad"
+              placeholderTextColor={colors.textFaint}
+            />
+            <Text style={styles.rangeSeparator}>–</Text>
+            <TextInput
+              style={styles.rangeInput}
+              placeholder={t('filters.max', { symbol: getCurrencySymbol(baseCurrency) })}
+              value={filters.maxAmount}
+              onChangeText={(maxAmount) => update({ maxAmount })}
+              keyboardType="decimal-pad"
+              placeholderTextColor={colors.textFaint}
+            />
+          </View>
+
+          {/* Sort */}
+          <View style={styles.sortRow}>
+            <Text style={styles.sortLabel}>{t('filters.sortBy')}</Text>
+            {SORT_OPTIONS.map((option) => {
+              const selected = filters.sortBy === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => selectSort(option.value)}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                    {t(`sortOptions.${option.value}`)}
+                  </Text>
+                  {selected && (
+                    <Ionicons
+                      name={filters.sortDirection === 'asc' ? 'arrow-up' : 'arrow-down'}
+                      size={12}
+                      color={colors.accent}
+                    />
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {active && (
+            <TouchableOpacity style={styles.clearButton} onPress={clearFilters}>
+              <Text style={styles.clearButtonText}>{t('filters.clear')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginTop: 16,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  searchInputContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    backgroundColor: colors.background,
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: colors.text,
+  },
+  filterButton: {
+    width: 42,
+    height: 42,
+    borderRadius: 12,
+    backgroundColor: colors.primarySoft,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  panel: {
+    marginTop: 12,
+    gap: 12,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    marginRight: 8,
+    gap: 4,
+  },
+  chipSelected: {
+    borderColor: colors.accent,
+    backgroundColor: colors.primarySoft,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: colors.accent,
+    fontWeight: '600',
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rangeInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: colors.text,
+    backgroundColor: colors.surface,
+  },
+  rangeDate: {
+    flex: 1,
+  },
+  rangeSeparator: {
+    marginHorizontal: 8,
+    color: colors.textMuted,
+  },
+  sortRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sortLabel: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginRight: 8,
+  },
+  clearButton: {
+    alignSelf: 'flex-start',
+  },
+  clearButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.accent,
+  },
+});
+
+export default ExpenseFilters;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  BackHandler,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { MAX_PIN_LENGTH, MIN_PIN_LENGTH, loadPinLock, verifyPin, wipeLocalData } from '../utils/pinLock';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'delete', '0', 'submit'];
+
+// Full-screen PIN pad drawn over the whole app. `onReset` runs after a
+// forgotten PIN has wiped the device's data.
+const LockScreen = ({ onUnlock, onReset }) => {
+  const [pin, setPin] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // Back leaves the app rather than navigating the screens underneath
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      BackHandler.exitApp();
+      return true;
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Pick up a backoff still running from before the app was closed
+  useEffect(() => {
+    loadPinLock()
+      .then(lock => setLockedUntil(lock?.lockedUntil || null))
+      .catch(error => console.error('Error loading PIN lock:', error));
+  }, []);
+
+  // Tick once a second while the keypad is disabled
+  useEffect(() => {
+    if (!lockedUntil) {
+      return;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const waitSeconds = lockedUntil ? Math.ceil((lockedUntil - now) / 1000) : 0;
+  const disabled = checking || waitSeconds > 0;
+
+  const submit = async () => {
+    if (pin.length < MIN_PIN_LENGTH) {
+      return;
+    }
+
+    try {
+      setChecking(true);
+      const result = await verifyPin(pin);
+      if (result.ok) {
+        onUnlock();
+        return;
+      }
+      setPin('');
+      setNow(Date.now());
+      setLockedUntil(result.lockedUntil);
+      setMessage('Wrong PIN');
+    } catch (error) {
+      console.error('Error checking PIN:', error);
+      Alert.alert('Error', 'Failed to check PIN');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const pressKey = (key) => {
+    setMessage('');
+    if (key === 'delete') {
+      setPin(pin.slice(0, -1));
+    } else if (key === 'submit') {
+      submit();
+    } else if (pin.length < MAX_PIN_LENGTH) {
+      setPin(pin + key);
+    }
+  };
+
+  const resetApp = async () => {
+    try {
+      await wipeLocalData();
+      onReset();
+    } catch (error) {
+      console.error('Error resetting app:', error);
+      Alert.alert('Error', 'Failed to reset the app');
+    }
+  };
+
+  const confirmReset = () => {
+    Alert.alert(
+      'Forgot PIN',
+      'Resetting deletes every expense, setting and receipt on this device and turns the PIN ' +
+        'lock off. You can restore a backup afterwards, but backups do not include receipt ' +
+        'photos. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset App', style: 'destructive', onPress: resetApp },
+      ]
+    );
+  };
+
+  const renderKey = (key) => {
+    let content = <Text style={styles.keyText}>{key}</Text>;
+    if (key === 'delete') {
+      content = <Ionicons name="backspace-outline" size={26} color="#1F2937" />;
+    } else if (key === 'submit') {
+      content = checking
+        ? <ActivityIndicator color="#FFFFFF" />
+        : <Ionicons name="arrow-forward" size={26} color="#FFFFFF" />;
+    }
+
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[styles.key, key === 'submit' && styles.submitKey, disabled && styles.keyDisabled]}
+        onPress={() => pressKey(key)}
+        disabled={disabled}
+      >
+        {content}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#F8FAFC" />
+
+      {/* Prompt */}
+      <View style={styles.prompt}>
+        <View style={styles.iconContainer}>
+          <Ionicons name="lock-closed" size={32} color="#4F46E5" />
+        </View>
+        <Text style={styles.title}>Enter PIN</Text>
+        <View style={styles.dots}>
+          {Array.from({ length: Math.max(pin.length, MIN_PIN_LENGTH) }, (_, index) => (
+            <View key={index} style={[styles.dot, index < pin.length && styles.dotFilled]} />
+          ))}
+        </View>
+        <Text style={styles.message}>
+          {waitSeconds > 0 ? `Too many attempts. Try again in ${waitSeconds}s` : message}
+        </Text>
+      </View>
+
+      {/* Keypad */}
+      <View style={styles.keypad}>
+        {KEYS.map(renderKey)}
+      </View>
+
+      <TouchableOpacity style={styles.resetButton} onPress={confirmReset}>
+        <Text style={styles.resetText}>Forgot PIN?</Text>
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#F8FAFC',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 20,
+  },
+  prompt: {
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  iconContainer: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 20,
+  },
+  dots: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 16,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: '#4F46E5',
+  },
+  dotFilled: {
+    backgroundColor: '#4F46E5',
+  },
+  message: {
+    fontSize: 14,
+    color: '#EF4444',
+    minHeight: 20,
+  },
+  keypad: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    width: 264,
+    gap: 16,
+  },
+  key: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  submitKey: {
+    backgroundColor: '#4F46E5',
+    borderColor: '#4F46E5',
+  },
+  keyDisabled: {
+    opacity: 0.4,
+  },
+  keyText: {
+    fontSize: 26,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  resetButton: {
+    marginTop: 32,
+    padding: 8,
+  },
+  resetText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+});
+
+export default LockScreen;
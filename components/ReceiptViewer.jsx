@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  FlatList,
+  TouchableOpacity,
+  SafeAreaView,
+  useWindowDimensions,
+} from 'react-native';
+import { Image } from 'expo-image';
+import { Ionicons } from '@expo/vector-icons';
+
+// Full-screen, swipeable view of an expense's receipt images. `uris` are
+// already resolved image uris; the viewer is open whenever the list isn't empty.
+const ReceiptViewer = ({ uris, initialIndex = 0, onClose }) => {
+  const { width } = useWindowDimensions();
+  const [index, setIndex] = useState(initialIndex);
+
+  useEffect(() => {
+    setIndex(initialIndex);
+  }, [uris, initialIndex]);
+
+  const handleScrollEnd = (event) => {
+    setIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+  };
+
+  return (
+    <Modal
+      animationType="fade"
+      visible={uris.length > 0}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.counterText}>
+            {uris.length > 1 ? `${index + 1} / ${uris.length}` : 'Receipt'}
+          </Text>
+          <TouchableOpacity
+            style={styles.closeButton}
+            onPress={onClose}
+          >
+            <Ionicons name="close" size={24} color="#FFFFFF" />
+          </TouchableOpacity>
+        </View>
+
+        <FlatList
+          data={uris}
+          keyExtractor={(uri) => uri}
+          horizontal
+          pagingEnabled
+          initialScrollIndex={initialIndex}
+          getItemLayout={(data, itemIndex) => ({ length: width, offset: width * itemIndex, index: itemIndex })}
+          onMomentumScrollEnd={handleScrollEnd}
+          showsHorizontalScrollIndicator={false}
+          renderItem={({ item }) => (
+            <Image
+              source={{ uri: item }}
+              style={[styles.image, { width }]}
+              contentFit="contain"
+            />
+          )}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000000',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  counterText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  image: {
+    height: '100%',
+  },
+});
+
+export default ReceiptViewer;
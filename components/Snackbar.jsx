@@ -0,0 +1,74 @@
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+// Short-lived message along the bottom of the screen with an optional action.
+// It dismisses itself after `duration` ms. A new `message` or `messageKey`
+// restarts the timer, so the same message shown twice in a row gets its full
+// time again.
+const Snackbar = ({
+  message,
+  messageKey,
+  actionLabel,
+  onAction,
+  onDismiss,
+  duration = 5000,
+}) => {
+  useEffect(() => {
+    if (!message) {
+      return;
+    }
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, messageKey, duration, onDismiss]);
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      {actionLabel && (
+        <TouchableOpacity onPress={onAction}>
+          <Text style={styles.actionText}>{actionLabel}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 20,
+    right: 92, // Leave room for the FAB
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1F2937',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    gap: 12,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 8,
+  },
+  message: {
+    flex: 1,
+    fontSize: 14,
+    color: '#FFFFFF',
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#A5B4FC',
+  },
+});
+
+export default Snackbar;
@@ -0,0 +1,155 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getTagSuggestions, parseTags } from '../utils/tags';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+
+// Picked tags as removable chips, followed by a text input that suggests tags
+// already in use (the most used ones until something is typed). A comma, the
+// return key or leaving the input adds what has been typed.
+const TagInput = ({ tags, onChange, tagsInUse = [], placeholder }) => {
+  const { t } = useLocale();
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [text, setText] = useState('');
+
+  const addTags = (newTags) => {
+    const added = newTags.filter(tag => !tags.includes(tag));
+    if (added.length > 0) {
+      onChange([...tags, ...added]);
+    }
+  };
+
+  const handleChangeText = (value) => {
+    // Everything before the last comma is complete
+    const lastComma = value.lastIndexOf(',');
+    if (lastComma === -1) {
+      setText(value);
+      return;
+    }
+    addTags(parseTags(value.slice(0, lastComma)));
+    setText(value.slice(lastComma + 1));
+  };
+
+  const handleSubmit = () => {
+    addTags(parseTags(text));
+    setText('');
+  };
+
+  const selectSuggestion = (tag) => {
+    addTags([tag]);
+    setText('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(item => item !== tag));
+  };
+
+  const suggestions = getTagSuggestions(text, tagsInUse, tags);
+
+  return (
+    <View>
+      <View style={styles.inputContainer}>
+        {tags.map((tag) => (
+          <View key={tag} style={styles.tagChip}>
+            <Text style={styles.tagChipText}>#{tag}</Text>
+            <TouchableOpacity onPress={() => removeTag(tag)}>
+              <Ionicons name="close" size={14} color={colors.accent} />
+            </TouchableOpacity>
+          </View>
+        ))}
+        <TextInput
+          style={styles.input}
+          placeholder={tags.length === 0 ? placeholder || t('tagInput.placeholder') : ''}
+          value={text}
+          onChangeText={handleChangeText}
+          onSubmitEditing={handleSubmit}
+          onBlur={handleSubmit}
+          autoCapitalize="none"
+          autoCorrect={false}
+          blurOnSubmit={false}
+          returnKeyType="done"
+          placeholderTextColor={colors.textFaint}
+        />
+      </View>
+
+      {/* Suggestions */}
+      {suggestions.length > 0 && (
+        <View style={styles.suggestionRow}>
+          {suggestions.map((tag) => (
+            <TouchableOpacity
+              key={tag}
+              style={styles.suggestionChip}
+              onPress={() => selectSuggestion(tag)}
+            >
+              <Text style={styles.suggestionText}>#{tag}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  inputContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    borderWidth: 1,
+    borderColor: colors.borderStrong,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: colors.surface,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: colors.primarySoft,
+  },
+  tagChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.accent,
+  },
+  input: {
+    flexGrow: 1,
+    minWidth: 100,
+    paddingVertical: 4,
+    fontSize: 16,
+    color: colors.text,
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  suggestionChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  suggestionText: {
+    fontSize: 13,
+    color: colors.textMuted,
+  },
+});
+
+export default TagInput;
@@ -0,0 +1,53 @@
+import { getTransactionType } from './transactions';
+
+// Categories a fresh install starts with. Ids are stable so renaming a
+// category (e.g. "Other") never changes what it is.
+export const DEFAULT_CATEGORIES = [
+  { id: 'food', name: 'Food', icon: 'restaurant', color: '#F59E0B', type: 'expense', archived: false },
+  { id: 'transport', name: 'Transport', icon: 'car', color: '#3B82F6', type: 'expense', archived: false },
+  { id: 'shopping', name: 'Shopping', icon: 'bag', color: '#EF4444', type: 'expense', archived: false },
+  { id: 'entertainment', name: 'Entertainment', icon: 'game-controller', color: '#8B5CF6', type: 'expense', archived: false },
+  { id: 'health', name: 'Health', icon: 'medical', color: '#10B981', type: 'expense', archived: false },
+  { id: 'bills', name: 'Bills', icon: 'receipt', color: '#F97316', type: 'expense', archived: false },
+  { id: 'education', name: 'Education', icon: 'school', color: '#06B6D4', type: 'expense', archived: false },
+  { id: 'other', name: 'Other', icon: 'ellipsis-horizontal', color: '#6B7280', type: 'expense', archived: false },
+  { id: 'salary', name: 'Salary', icon: 'briefcase', color: '#10B981', type: 'income', archived: false },
+  { id: 'freelance', name: 'Freelance', icon: 'laptop', color: '#14B8A6', type: 'income', archived: false },
+  { id: 'investments', name: 'Investments', icon: 'trending-up', color: '#84CC16', type: 'income', archived: false },
+  { id: 'gifts', name: 'Gifts', icon: 'gift', color: '#EC4899', type: 'income', archived: false },
+  { id: 'other-income', name: 'Other Income', icon: 'cash', color: '#6B7280', type: 'income', archived: false },
+];
+
+// Selecting one of these categories lets the user type a one-off category name
+export const OTHER_CATEGORY_ID = 'other';
+export const OTHER_INCOME_CATEGORY_ID = 'other-income';
+
+export const FALLBACK_CATEGORY_ICON = 'cash';
+export const FALLBACK_CATEGORY_COLOR = '#4F46E5';
+
+export const CATEGORY_ICONS = [
+  'restaurant', 'cafe', 'fast-food', 'beer', 'car', 'bus', 'train', 'airplane',
+  'bicycle', 'bag', 'cart', 'shirt', 'game-controller', 'film', 'musical-notes',
+  'medical', 'fitness', 'receipt', 'flash', 'water', 'wifi', 'phone-portrait',
+  'home', 'school', 'book', 'briefcase', 'gift', 'paw', 'heart', 'cash',
+  'card', 'laptop', 'trending-up', 'wallet', 'ellipsis-horizontal',
+];
+
+export const CATEGORY_COLORS = [
+  '#F59E0B', '#3B82F6', '#EF4444', '#8B5CF6', '#10B981', '#F97316',
+  '#06B6D4', '#6B7280', '#EC4899', '#84CC16', '#14B8A6', '#A855F7',
+];
+
+// Categories offered for an expense or for income
+export const getCategoriesOfType = (categories, type) =>
+  categories.filter(category => getTransactionType(category) === type);
+
+export const getCategoryIcon = (category, categories = DEFAULT_CATEGORIES) => {
+  const match = categories.find(cat => cat.name === category);
+  return match ? match.icon : FALLBACK_CATEGORY_ICON;
+};
+
+export const getCategoryColor = (category, categories = DEFAULT_CATEGORIES) => {
+  const match = categories.find(cat => cat.name === category);
+  return match ? match.color : FALLBACK_CATEGORY_COLOR;
+};
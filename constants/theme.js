@@ -0,0 +1,50 @@
+// Colour tokens for each theme. Screens pick these up through useTheme and
+// build their styles from them instead of hard-coding hex values.
+// `primary` fills buttons and stat cards; `accent` is the same brand colour
+// for text and icons drawn on a surface, lighter in dark mode to stay legible.
+export const LIGHT_COLORS = {
+  background: '#F8FAFC',
+  surface: '#FFFFFF',
+  surfaceMuted: '#F3F4F6',
+  text: '#1F2937',
+  textSecondary: '#374151',
+  textMuted: '#6B7280',
+  textFaint: '#9CA3AF',
+  border: '#E5E7EB',
+  borderStrong: '#D1D5DB',
+  primary: '#4F46E5',
+  onPrimary: '#FFFFFF',
+  onPrimaryMuted: '#C7D2FE',
+  primarySoft: '#EEF2FF',
+  accent: '#4F46E5',
+  success: '#10B981',
+  danger: '#EF4444',
+  shadow: '#000',
+  overlay: 'rgba(0, 0, 0, 0.5)',
+};
+
+export const DARK_COLORS = {
+  background: '#0F172A',
+  surface: '#1E293B',
+  surfaceMuted: '#334155',
+  text: '#F1F5F9',
+  textSecondary: '#E2E8F0',
+  textMuted: '#94A3B8',
+  textFaint: '#64748B',
+  border: '#334155',
+  borderStrong: '#475569',
+  primary: '#6366F1',
+  onPrimary: '#FFFFFF',
+  onPrimaryMuted: '#E0E7FF',
+  primarySoft: '#312E81',
+  accent: '#A5B4FC',
+  success: '#34D399',
+  danger: '#F87171',
+  shadow: '#000',
+  overlay: 'rgba(0, 0, 0, 0.7)',
+};
+
+export const THEMES = {
+  light: { scheme: 'light', colors: LIGHT_COLORS, statusBarStyle: 'dark-content' },
+  dark: { scheme: 'dark', colors: DARK_COLORS, statusBarStyle: 'light-content' },
+};
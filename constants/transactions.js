@@ -0,0 +1,24 @@
+// Every ledger record is money going out, money coming in or money moved
+// between two accounts. Records (and categories) saved before income existed
+// have no type and are expenses.
+export const EXPENSE_TYPE = 'expense';
+export const INCOME_TYPE = 'income';
+export const TRANSFER_TYPE = 'transfer';
+
+export const TRANSACTION_TYPES = [
+  { value: EXPENSE_TYPE, label: 'Expense' },
+  { value: INCOME_TYPE, label: 'Income' },
+  { value: TRANSFER_TYPE, label: 'Transfer' },
+];
+
+// Transfers have no categories to choose from; they are all filed under this one
+export const TRANSFER_CATEGORY = 'Transfer';
+
+export const getTransactionType = (record) =>
+  TRANSACTION_TYPES.some(item => item.value === record.type) ? record.type : EXPENSE_TYPE;
+
+export const isExpense = (record) => getTransactionType(record) === EXPENSE_TYPE;
+
+export const isIncome = (record) => getTransactionType(record) === INCOME_TYPE;
+
+export const isTransfer = (record) => getTransactionType(record) === TRANSFER_TYPE;
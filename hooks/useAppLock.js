@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { AppState } from 'react-native';
+import { loadPinLock } from '../utils/pinLock';
+
+// Whether the PIN lock screen should cover the app: null until the stored
+// settings have been read, so nothing shows before the check. It locks again
+// when the app comes back after at least the configured delay in the
+// background. Settings that can't be read lock the app rather than leaving
+// it open; the lock screen's reset still gets the user back in.
+const useAppLock = () => {
+  const [locked, setLocked] = useState(null);
+  const background = useRef(null);
+
+  useEffect(() => {
+    loadPinLock()
+      .then(lock => setLocked(Boolean(lock)))
+      .catch(error => {
+        console.error('Error loading PIN lock:', error);
+        setLocked(true);
+      });
+
+    const subscription = AppState.addEventListener('change', async (state) => {
+      if (state === 'background') {
+        // Read the settings now, since they may have changed since launch
+        background.current = { since: Date.now(), lock: loadPinLock() };
+        return;
+      }
+      if (state !== 'active' || !background.current) {
+        return;
+      }
+
+      const { since, lock } = background.current;
+      background.current = null;
+      try {
+        const pinLock = await lock;
+        if (pinLock && Date.now() - since >= pinLock.relockAfter * 1000) {
+          setLocked(true);
+        }
+      } catch (error) {
+        console.error('Error loading PIN lock:', error);
+        setLocked(true);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const unlock = useCallback(() => setLocked(false), []);
+
+  return { locked, unlock };
+};
+
+export default useAppLock;
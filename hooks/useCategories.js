@@ -0,0 +1,41 @@
+import { useState, useCallback, useMemo } from 'react';
+import { useFocusEffect } from 'expo-router';
+import {
+  DEFAULT_CATEGORIES,
+  getCategoryIcon,
+  getCategoryColor,
+} from '../constants/categories';
+import { loadCategories, getActiveCategories } from '../utils/categories';
+
+// The user's categories, reloaded whenever the screen comes into focus so
+// edits made in the category manager show up everywhere
+const useCategories = () => {
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+
+  const reload = useCallback(async () => {
+    try {
+      setCategories(await loadCategories());
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      reload();
+    }, [reload])
+  );
+
+  // Memoized so components can depend on it without re-running effects
+  const activeCategories = useMemo(() => getActiveCategories(categories), [categories]);
+
+  return {
+    categories,
+    activeCategories,
+    getCategoryIcon: (name) => getCategoryIcon(name, categories),
+    getCategoryColor: (name) => getCategoryColor(name, categories),
+    reload,
+  };
+};
+
+export default useCategories;
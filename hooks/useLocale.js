@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { t, getLanguage, getLocale, subscribeToLanguage } from '../utils/i18n';
+
+// The current language, re-rendering the component when it changes. Returns
+// t() along with it so components can translate without another import.
+const useLocale = () => {
+  const language = useSyncExternalStore(subscribeToLanguage, getLanguage);
+  return { t, language, locale: getLocale() };
+};
+
+export default useLocale;
@@ -0,0 +1,25 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { useColorScheme } from 'react-native';
+import { THEMES } from '../constants/theme';
+import { SYSTEM_THEME, getThemeSetting, subscribeToTheme, getReadableColor } from '../utils/theme';
+
+// The active theme: the saved setting, or the device's appearance when it is
+// 'system'. Category colours were picked for light cards, so in dark mode
+// readableColor lightens the ones that would be hard to see.
+const useTheme = () => {
+  const setting = useSyncExternalStore(subscribeToTheme, getThemeSetting);
+  const systemScheme = useColorScheme();
+  const scheme = setting === SYSTEM_THEME
+    ? (systemScheme === 'dark' ? 'dark' : 'light')
+    : setting;
+  const theme = THEMES[scheme];
+
+  const readableColor = useCallback(
+    (color) => (scheme === 'dark' ? getReadableColor(color, theme.colors.surface) : color),
+    [scheme, theme]
+  );
+
+  return { ...theme, setting, isDark: scheme === 'dark', readableColor };
+};
+
+export default useTheme;
@@ -0,0 +1,234 @@
+// German UI strings; see en.js for the keys
+const de = {
+  'common.error': 'Fehler',
+  'common.cancel': 'Abbrechen',
+  'common.delete': 'Löschen',
+  'common.apply': 'Übernehmen',
+  'common.edit': 'Bearbeiten',
+  'common.undo': 'Rückgängig',
+  'common.today': 'Heute',
+  'common.none': 'Keins',
+
+  'transactionTypes.expense': 'Ausgabe',
+  'transactionTypes.income': 'Einnahme',
+  'transactionTypes.transfer': 'Umbuchung',
+
+  'frequencies.daily': 'Täglich',
+  'frequencies.weekly': 'Wöchentlich',
+  'frequencies.monthly': 'Monatlich',
+  'frequencies.yearly': 'Jährlich',
+
+  'splitMethods.equal': 'Gleichmäßig',
+  'splitMethods.exact': 'Beträge',
+  'splitMethods.percent': 'Prozent',
+
+  'groupings.day': 'Tag',
+  'groupings.week': 'Woche',
+  'groupings.month': 'Monat',
+  'groupings.today': 'Heute',
+  'groupings.yesterday': 'Gestern',
+  'groupings.thisWeek': 'Diese Woche',
+  'groupings.lastWeek': 'Letzte Woche',
+  'groupings.weekOf': 'Woche vom {date}',
+
+  'sortOptions.date': 'Datum',
+  'sortOptions.amount': 'Betrag',
+  'sortOptions.category': 'Kategorie',
+
+  'counts.expenses_one': '{count} Ausgabe',
+  'counts.expenses_other': '{count} Ausgaben',
+  'counts.income_one': '{count} Einnahme',
+  'counts.income_other': '{count} Einnahmen',
+  'counts.payments_one': '{count} Zahlung',
+  'counts.payments_other': '{count} Zahlungen',
+
+  'validation.requiredFields': 'Bitte alle Pflichtfelder ausfüllen (Betrag, Kategorie und Datum)',
+  'validation.amount': 'Bitte einen gültigen Betrag größer als 0 eingeben',
+  'validation.date': 'Bitte ein gültiges Datum eingeben',
+
+  'splits.needTwoPeople': 'Bitte mindestens zwei Personen für die Aufteilung angeben',
+  'splits.uniqueNames': 'Jede Person in der Aufteilung braucht einen eigenen Namen',
+  'splits.choosePayer': 'Bitte auswählen, wer bezahlt hat',
+  'splits.invalidShare': 'Bitte für alle Personen einen gültigen Anteil eingeben',
+  'splits.amountsMismatch': 'Die Beträge ergeben {total} statt {amount}',
+  'splits.percentMismatch': 'Die Prozente ergeben {total} % statt 100 %',
+
+  'budgets.categoryOverrun': '{category}: {total} von {budget}',
+  'budgets.overallOverrun': 'Monatssumme: {total} von {budget}',
+
+  'dashboard.title': 'Ausgaben',
+  'dashboard.loading': 'Ausgaben werden geladen …',
+  'dashboard.selected': '{count} ausgewählt',
+  'dashboard.selectAll': 'Alle auswählen',
+  'dashboard.spentThisMonth': 'Ausgaben diesen Monat',
+  'dashboard.incomeThisMonth': 'Einnahmen diesen Monat',
+  'dashboard.netThisMonth': 'Saldo diesen Monat',
+  'dashboard.spentFiltered': 'Ausgaben (gefiltert)',
+  'dashboard.incomeFiltered': 'Einnahmen (gefiltert)',
+  'dashboard.netFiltered': 'Saldo der Treffer',
+  'dashboard.netFilteredSoFar': 'Saldo der bisher geladenen Treffer',
+  'dashboard.budgets': 'Budgets',
+  'dashboard.budgetThisMonth': 'Dieser Monat',
+  'dashboard.setBudgets': 'Monatsbudgets festlegen',
+  'dashboard.groupBy': 'Gruppieren nach',
+  'dashboard.splitSummary': 'Geteilt · {people} Personen · {payer} hat bezahlt',
+  'dashboard.emptyTitle': 'Noch keine Ausgaben',
+  'dashboard.emptySubtitle': 'Erfasse deine erste Ausgabe, um loszulegen',
+  'dashboard.addFirst': 'Erste Ausgabe erfassen',
+  'dashboard.noResultsTitle': 'Keine passenden Ausgaben',
+  'dashboard.noResultsSubtitle': 'Versuche eine andere Suche oder setze die Filter zurück',
+  'dashboard.movedToTrash_one': 'Ausgabe in den Papierkorb verschoben',
+  'dashboard.movedToTrash_other': '{count} Ausgaben in den Papierkorb verschoben',
+  'dashboard.selectionSummary_one': '{count} Ausgabe über {amount}',
+  'dashboard.selectionSummary_other': '{count} Ausgaben über insgesamt {amount}',
+  'dashboard.deleteTitle': 'Ausgaben löschen',
+  'dashboard.deleteMessage': '{selection} in den Papierkorb verschieben?',
+  'dashboard.changeCategoryTitle': 'Kategorie ändern',
+  'dashboard.changeCategoryMessage': '{selection} nach {category} verschieben?',
+  'dashboard.changeDateTitle': 'Datum ändern',
+  'dashboard.changeDateMessage': 'Datum von {selection} auf {date} setzen?',
+  'dashboard.bulkCategory': 'Kategorie',
+  'dashboard.bulkDate': 'Datum',
+  'dashboard.bulkDelete': 'Löschen',
+  'dashboard.loadFailed': 'Ausgaben konnten nicht geladen werden',
+  'dashboard.saveFailed': 'Ausgaben konnten nicht gespeichert werden',
+  'dashboard.deleteFailed': 'Ausgaben konnten nicht gelöscht werden',
+  'dashboard.restoreFailed': 'Ausgabe konnte nicht wiederhergestellt werden',
+  'dashboard.saveBudgetsFailed': 'Budgets konnten nicht gespeichert werden',
+
+  'filters.search': 'Beschreibung, Kategorie oder Tag suchen',
+  'filters.from': 'Von',
+  'filters.to': 'Bis',
+  'filters.min': 'Min. {symbol}',
+  'filters.max': 'Max. {symbol}',
+  'filters.sortBy': 'Sortieren nach',
+  'filters.clear': 'Filter zurücksetzen',
+
+  'dateField.placeholder': 'Datum wählen',
+
+  'tagInput.placeholder': 'Tag hinzufügen',
+
+  'addModal.addTitle.expense': 'Neue Ausgabe',
+  'addModal.addTitle.income': 'Neue Einnahme',
+  'addModal.addTitle.transfer': 'Neue Umbuchung',
+  'addModal.editTitle.expense': 'Ausgabe bearbeiten',
+  'addModal.editTitle.income': 'Einnahme bearbeiten',
+  'addModal.editTitle.transfer': 'Umbuchung bearbeiten',
+  'addModal.save.expense': 'Ausgabe speichern',
+  'addModal.save.income': 'Einnahme speichern',
+  'addModal.save.transfer': 'Umbuchung speichern',
+  'addModal.update.expense': 'Ausgabe aktualisieren',
+  'addModal.update.income': 'Einnahme aktualisieren',
+  'addModal.update.transfer': 'Umbuchung aktualisieren',
+  'addModal.notePlaceholder.expense': 'Notiz zu dieser Ausgabe …',
+  'addModal.notePlaceholder.income': 'Notiz zu dieser Einnahme …',
+  'addModal.notePlaceholder.transfer': 'Notiz zu dieser Umbuchung …',
+  'addModal.amount': 'Betrag',
+  'addModal.from': 'Von',
+  'addModal.to': 'An',
+  'addModal.transferHint': 'Lege in den Einstellungen mindestens zwei Konten an, um Umbuchungen zu erfassen.',
+  'addModal.account': 'Konto (optional)',
+  'addModal.category': 'Kategorie',
+  'addModal.customCategory': 'Eigene Kategorie',
+  'addModal.customCategoryPlaceholder': 'Eigene Kategorie eingeben',
+  'addModal.date': 'Datum',
+  'addModal.repeat': 'Wiederholen (optional)',
+  'addModal.endDate': 'Enddatum (optional)',
+  'addModal.split': 'Mit anderen teilen',
+  'addModal.personName': 'Name',
+  'addModal.addPerson': 'Person hinzufügen',
+  'addModal.paidBy': 'Bezahlt von',
+  'addModal.description': 'Beschreibung (optional)',
+  'addModal.tags': 'Tags (optional)',
+  'addModal.tagsPlaceholder': 'z. B. kunde-acme, reise-berlin',
+  'addModal.receipts': 'Belege (optional)',
+  'addModal.chooseImages': 'Bilder wählen',
+  'addModal.takePhoto': 'Foto aufnehmen',
+  'addModal.chooseAccounts': 'Bitte Quell- und Zielkonto der Umbuchung wählen',
+  'addModal.differentAccounts': 'Bitte zwei verschiedene Konten wählen',
+  'addModal.endDateBeforeStart': 'Das Enddatum darf nicht vor dem Startdatum liegen',
+  'addModal.overBudgetTitle': 'Budget überschritten',
+  'addModal.overBudgetMessage': 'Mit dieser Ausgabe überschreitest du dein Budget:\n\n{overruns}',
+  'addModal.saveAnyway': 'Trotzdem speichern',
+  'addModal.receiptsFailed': 'Belegbilder konnten nicht gespeichert werden',
+  'addModal.attachFailed': 'Bild konnte nicht angehängt werden',
+  'addModal.photoFailed': 'Foto konnte nicht aufgenommen werden. Ist der Kamerazugriff erlaubt?',
+  'addModal.loadFailed': 'Das Formular konnte nicht geladen werden',
+  'addModal.saveFailed': 'Ausgabe konnte nicht gespeichert werden',
+  'addModal.saveRecurringFailed': 'Wiederkehrende Ausgabe konnte nicht gespeichert werden',
+
+  'links.invalidTitle': 'Ungültiger Link',
+  'links.unknownParam': 'Der Link enthält einen unbekannten Parameter: „{name}“.',
+  'links.repeatedParam': 'Der Link gibt „{name}“ mehrfach an.',
+  'links.invalidType': '„{value}“ ist kein Typ. Erlaubt sind expense, income und transfer.',
+  'links.invalidAmount': '„{value}“ ist kein gültiger Betrag. Bitte eine Zahl über 0 mit Punkt als Dezimaltrennzeichen angeben, z. B. 12.50.',
+  'links.invalidCurrency': '„{value}“ ist keine unterstützte Währung.',
+  'links.unknownCategory': 'Es gibt keine Kategorie „{value}“.',
+  'links.invalidDate': '„{value}“ ist kein gültiges Datum. Bitte das Format JJJJ-MM-TT verwenden, z. B. 2024-06-30.',
+  'links.editParams': 'Ein Link zu einer vorhandenen Ausgabe kann ihre Felder nicht ändern.',
+  'links.expenseNotFound': 'Die Ausgabe, auf die der Link zeigt, gibt es nicht. Vielleicht wurde sie gelöscht.',
+  'links.unknownPage': 'Diese App hat keine Seite unter „{path}“.',
+
+  'quickAdd.placeholder': 'Schnell erfassen, z. B. „12,50 Mittagessen gestern“',
+  'quickAdd.confirmTitle': 'Diese Ausgabe erfassen?',
+  'quickAdd.summary': 'Betrag: {amount}\nKategorie: {category}\nDatum: {date}\nBeschreibung: {description}',
+  'quickAdd.overBudget': 'Damit wird das Budget überschritten:\n{overruns}',
+  'quickAdd.noAmount': 'Bitte einen Betrag angeben, z. B. „12,50 Mittagessen“ oder „Taxi 23 am 14.3.“.',
+  'quickAdd.save': 'Speichern',
+
+  'budgetModal.title': 'Monatsbudgets ({currency})',
+  'budgetModal.overall': 'Gesamtbudget pro Monat',
+  'budgetModal.noBudget': 'Kein Budget',
+  'budgetModal.byCategory': 'Nach Kategorie',
+  'budgetModal.save': 'Budgets speichern',
+  'budgetModal.invalidOverall': 'Bitte ein gültiges Monatsbudget größer als 0 eingeben',
+  'budgetModal.invalidCategory': 'Bitte ein gültiges Budget für {category} eingeben',
+
+  'bulkEdit.categoryTitle': 'Kategorie ändern',
+  'bulkEdit.dateTitle': 'Datum ändern',
+  'bulkEdit.selected_one': '{count} Ausgabe ausgewählt',
+  'bulkEdit.selected_other': '{count} Ausgaben ausgewählt',
+  'bulkEdit.chooseCategory': 'Bitte eine Kategorie wählen',
+  'bulkEdit.chooseDate': 'Bitte ein Datum wählen',
+
+  'csv.unsupportedCurrency': 'Nicht unterstützte Währung: {currency}',
+  'csv.unsupportedType': 'Nicht unterstützter Typ: {type}',
+
+  'screens.categories': 'Kategorien',
+  'screens.accounts': 'Konten',
+  'screens.recurring': 'Wiederkehrende Ausgaben',
+  'screens.importExport': 'Import & Export',
+  'screens.backup': 'Sicherung & Wiederherstellung',
+  'screens.security': 'PIN-Sperre',
+  'screens.balances': 'Salden',
+  'screens.trash': 'Papierkorb',
+
+  'settings.title': 'Einstellungen',
+  'settings.language': 'Sprache',
+  'settings.languageHint': 'Bestimmt auch, wie Datumsangaben und Beträge geschrieben werden.',
+  'settings.systemLanguage': 'Gerät ({language})',
+  'settings.theme': 'Darstellung',
+  'settings.themeHint': 'Gilt für die Ausgabenliste und beim Erfassen von Ausgaben.',
+  'settings.themeFailed': 'Darstellung konnte nicht gespeichert werden',
+  'settings.languageFailed': 'Sprache konnte nicht gespeichert werden',
+  'settings.baseCurrency': 'Basiswährung',
+  'settings.baseCurrencyHint': 'Summen und Budgets werden in dieser Währung angezeigt.',
+  'settings.rates': 'Wechselkurse',
+  'settings.ratesHint': 'Auf diesem Gerät gespeichert, damit die Umrechnung auch offline funktioniert.',
+  'settings.rateLabel': '1 {code} =',
+  'settings.saveRates': 'Kurse speichern',
+  'settings.invalidRate': 'Bitte einen gültigen Kurs für {code} eingeben',
+  'settings.ratesSavedTitle': 'Gespeichert',
+  'settings.ratesSaved': 'Wechselkurse aktualisiert',
+  'settings.reset': 'Zurücksetzen',
+  'settings.resetRatesTitle': 'Wechselkurse zurücksetzen',
+  'settings.resetRatesMessage': 'Deine Kurse durch die eingebauten Standardwerte ersetzen?',
+  'settings.loadFailed': 'Einstellungen konnten nicht geladen werden',
+  'settings.saveFailed': 'Einstellungen konnten nicht gespeichert werden',
+
+  'themes.system': 'System',
+  'themes.light': 'Hell',
+  'themes.dark': 'Dunkel',
+};
+
+export default de;
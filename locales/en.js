@@ -0,0 +1,235 @@
+// English UI strings, also the fallback for keys a translation leaves out.
+// Keys ending in _one / _other are picked by the `count` param of t().
+const en = {
+  'common.error': 'Error',
+  'common.cancel': 'Cancel',
+  'common.delete': 'Delete',
+  'common.apply': 'Apply',
+  'common.edit': 'Edit',
+  'common.undo': 'Undo',
+  'common.today': 'Today',
+  'common.none': 'None',
+
+  'transactionTypes.expense': 'Expense',
+  'transactionTypes.income': 'Income',
+  'transactionTypes.transfer': 'Transfer',
+
+  'frequencies.daily': 'Daily',
+  'frequencies.weekly': 'Weekly',
+  'frequencies.monthly': 'Monthly',
+  'frequencies.yearly': 'Yearly',
+
+  'splitMethods.equal': 'Equally',
+  'splitMethods.exact': 'Amounts',
+  'splitMethods.percent': 'Percent',
+
+  'groupings.day': 'Day',
+  'groupings.week': 'Week',
+  'groupings.month': 'Month',
+  'groupings.today': 'Today',
+  'groupings.yesterday': 'Yesterday',
+  'groupings.thisWeek': 'This Week',
+  'groupings.lastWeek': 'Last Week',
+  'groupings.weekOf': 'Week of {date}',
+
+  'sortOptions.date': 'Date',
+  'sortOptions.amount': 'Amount',
+  'sortOptions.category': 'Category',
+
+  'counts.expenses_one': '{count} expense',
+  'counts.expenses_other': '{count} expenses',
+  'counts.income_one': '{count} income',
+  'counts.income_other': '{count} income',
+  'counts.payments_one': '{count} payment',
+  'counts.payments_other': '{count} payments',
+
+  'validation.requiredFields': 'Please fill in all required fields (Amount, Category, and Date)',
+  'validation.amount': 'Please enter a valid amount greater than 0',
+  'validation.date': 'Please enter a valid date',
+
+  'splits.needTwoPeople': 'Please name at least two people to split with',
+  'splits.uniqueNames': 'Each person in a split needs a different name',
+  'splits.choosePayer': 'Please choose who paid',
+  'splits.invalidShare': 'Please enter a valid share for everyone in the split',
+  'splits.amountsMismatch': 'The amounts add up to {total} instead of {amount}',
+  'splits.percentMismatch': 'The percentages add up to {total}% instead of 100%',
+
+  'budgets.categoryOverrun': '{category}: {total} of {budget}',
+  'budgets.overallOverrun': 'Monthly total: {total} of {budget}',
+
+  'dashboard.title': 'Expense Tracker',
+  'dashboard.loading': 'Loading expenses...',
+  'dashboard.selected': '{count} selected',
+  'dashboard.selectAll': 'Select all',
+  'dashboard.spentThisMonth': 'Spent This Month',
+  'dashboard.incomeThisMonth': 'Income This Month',
+  'dashboard.netThisMonth': 'Net this month',
+  'dashboard.spentFiltered': 'Spent (Filtered)',
+  'dashboard.incomeFiltered': 'Income (Filtered)',
+  'dashboard.netFiltered': 'Net of the matches',
+  'dashboard.netFilteredSoFar': 'Net of the matches loaded so far',
+  'dashboard.budgets': 'Budgets',
+  'dashboard.budgetThisMonth': 'This Month',
+  'dashboard.setBudgets': 'Set monthly budgets',
+  'dashboard.groupBy': 'Group by',
+  'dashboard.splitSummary': 'Split · {people} people · {payer} paid',
+  'dashboard.emptyTitle': 'No expenses yet',
+  'dashboard.emptySubtitle': 'Start tracking your expenses by adding your first entry',
+  'dashboard.addFirst': 'Add First Expense',
+  'dashboard.noResultsTitle': 'No matching expenses',
+  'dashboard.noResultsSubtitle': 'Try a different search or clear the filters',
+  'dashboard.movedToTrash_one': 'Expense moved to trash',
+  'dashboard.movedToTrash_other': '{count} expenses moved to trash',
+  'dashboard.selectionSummary_one': '{count} expense totalling {amount}',
+  'dashboard.selectionSummary_other': '{count} expenses totalling {amount}',
+  'dashboard.deleteTitle': 'Delete Expenses',
+  'dashboard.deleteMessage': 'Move {selection} to the trash?',
+  'dashboard.changeCategoryTitle': 'Change Category',
+  'dashboard.changeCategoryMessage': 'Move {selection} to {category}?',
+  'dashboard.changeDateTitle': 'Change Date',
+  'dashboard.changeDateMessage': 'Set the date of {selection} to {date}?',
+  'dashboard.bulkCategory': 'Category',
+  'dashboard.bulkDate': 'Date',
+  'dashboard.bulkDelete': 'Delete',
+  'dashboard.loadFailed': 'Failed to load expenses',
+  'dashboard.saveFailed': 'Failed to save expenses',
+  'dashboard.deleteFailed': 'Failed to delete expenses',
+  'dashboard.restoreFailed': 'Failed to restore expense',
+  'dashboard.saveBudgetsFailed': 'Failed to save budgets',
+
+  'filters.search': 'Search description, category or tag',
+  'filters.from': 'From',
+  'filters.to': 'To',
+  'filters.min': 'Min {symbol}',
+  'filters.max': 'Max {symbol}',
+  'filters.sortBy': 'Sort by',
+  'filters.clear': 'Clear filters',
+
+  'dateField.placeholder': 'Select a date',
+
+  'tagInput.placeholder': 'Add a tag',
+
+  'addModal.addTitle.expense': 'Add New Expense',
+  'addModal.addTitle.income': 'Add Income',
+  'addModal.addTitle.transfer': 'Add Transfer',
+  'addModal.editTitle.expense': 'Edit Expense',
+  'addModal.editTitle.income': 'Edit Income',
+  'addModal.editTitle.transfer': 'Edit Transfer',
+  'addModal.save.expense': 'Save Expense',
+  'addModal.save.income': 'Save Income',
+  'addModal.save.transfer': 'Save Transfer',
+  'addModal.update.expense': 'Update Expense',
+  'addModal.update.income': 'Update Income',
+  'addModal.update.transfer': 'Update Transfer',
+  'addModal.notePlaceholder.expense': 'Add a note about this expense...',
+  'addModal.notePlaceholder.income': 'Add a note about this income...',
+  'addModal.notePlaceholder.transfer': 'Add a note about this transfer...',
+  'addModal.amount': 'Amount',
+  'addModal.from': 'From',
+  'addModal.to': 'To',
+  'addModal.transferHint': 'Add at least two accounts in Settings to record transfers.',
+  'addModal.account': 'Account (Optional)',
+  'addModal.category': 'Category',
+  'addModal.customCategory': 'Custom Category',
+  'addModal.customCategoryPlaceholder': 'Enter custom category',
+  'addModal.date': 'Date',
+  'addModal.repeat': 'Repeat (Optional)',
+  'addModal.endDate': 'End date (optional)',
+  'addModal.split': 'Split with others',
+  'addModal.personName': 'Name',
+  'addModal.addPerson': 'Add person',
+  'addModal.paidBy': 'Paid by',
+  'addModal.description': 'Description (Optional)',
+  'addModal.tags': 'Tags (Optional)',
+  'addModal.tagsPlaceholder': 'e.g. client-acme, trip-berlin',
+  'addModal.receipts': 'Receipts (Optional)',
+  'addModal.chooseImages': 'Choose Images',
+  'addModal.takePhoto': 'Take Photo',
+  'addModal.chooseAccounts': 'Please choose the accounts to transfer from and to',
+  'addModal.differentAccounts': 'Please choose two different accounts',
+  'addModal.endDateBeforeStart': 'Please enter an end date on or after the start date',
+  'addModal.overBudgetTitle': 'Over Budget',
+  'addModal.overBudgetMessage': 'This expense puts you over budget:\n\n{overruns}',
+  'addModal.saveAnyway': 'Save Anyway',
+  'addModal.receiptsFailed': 'Failed to save receipt images',
+  'addModal.attachFailed': 'Failed to attach image',
+  'addModal.photoFailed': 'Failed to take photo. Check that camera access is allowed.',
+  'addModal.loadFailed': 'Failed to load the expense form',
+  'addModal.saveFailed': 'Failed to save expense',
+  'addModal.saveRecurringFailed': 'Failed to save recurring expense',
+
+  'links.invalidTitle': 'Invalid Link',
+  'links.unknownParam': 'The link has a parameter this app doesn\'t know: "{name}".',
+  'links.repeatedParam': 'The link gives "{name}" more than once.',
+  'links.invalidType': '"{value}" is not a type. Use expense, income or transfer.',
+  'links.invalidAmount': '"{value}" is not a valid amount. Use a number above 0 with a dot for decimals, like 12.50.',
+  'links.invalidCurrency': '"{value}" is not a supported currency.',
+  'links.unknownCategory': 'There is no category called "{value}".',
+  'links.invalidDate': '"{value}" is not a valid date. Use the YYYY-MM-DD format, like 2024-06-30.',
+  'links.editParams': 'A link to an existing expense can\'t change its fields.',
+  'links.expenseNotFound': 'The expense this link points to doesn\'t exist. It may have been deleted.',
+  'links.unknownPage': 'This app has no page at "{path}".',
+
+  'quickAdd.placeholder': 'Quick add, e.g. "12.50 lunch yesterday"',
+  'quickAdd.confirmTitle': 'Add This Expense?',
+  'quickAdd.summary': 'Amount: {amount}\nCategory: {category}\nDate: {date}\nDescription: {description}',
+  'quickAdd.overBudget': 'This puts you over budget:\n{overruns}',
+  'quickAdd.noAmount': 'Include an amount, like "12.50 lunch" or "uber 23 on 3/14".',
+  'quickAdd.save': 'Save',
+
+  'budgetModal.title': 'Monthly Budgets ({currency})',
+  'budgetModal.overall': 'Overall Monthly Budget',
+  'budgetModal.noBudget': 'No budget',
+  'budgetModal.byCategory': 'By Category',
+  'budgetModal.save': 'Save Budgets',
+  'budgetModal.invalidOverall': 'Please enter a valid monthly budget greater than 0',
+  'budgetModal.invalidCategory': 'Please enter a valid budget for {category}',
+
+  'bulkEdit.categoryTitle': 'Change Category',
+  'bulkEdit.dateTitle': 'Change Date',
+  'bulkEdit.selected_one': '{count} expense selected',
+  'bulkEdit.selected_other': '{count} expenses selected',
+  'bulkEdit.chooseCategory': 'Please choose a category',
+  'bulkEdit.chooseDate': 'Please choose a date',
+
+  'csv.unsupportedCurrency': 'Unsupported currency: {currency}',
+  'csv.unsupportedType': 'Unsupported type: {type}',
+
+  'screens.categories': 'Categories',
+  'screens.accounts': 'Accounts',
+  'screens.recurring': 'Recurring Expenses',
+  'screens.importExport': 'Import & Export',
+  'screens.backup': 'Backup & Restore',
+  'screens.security': 'PIN Lock',
+  'screens.balances': 'Balances',
+  'screens.trash': 'Trash',
+
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'settings.languageHint': 'Also sets how dates and amounts are written.',
+  'settings.systemLanguage': 'Device ({language})',
+  'settings.theme': 'Appearance',
+  'settings.themeHint': 'Used on the expense list and when adding expenses.',
+  'settings.themeFailed': 'Failed to save appearance',
+  'settings.languageFailed': 'Failed to save language',
+  'settings.baseCurrency': 'Base Currency',
+  'settings.baseCurrencyHint': 'Totals and budgets are shown in this currency.',
+  'settings.rates': 'Exchange Rates',
+  'settings.ratesHint': 'Stored on this device, so conversion works offline.',
+  'settings.rateLabel': '1 {code} =',
+  'settings.saveRates': 'Save Rates',
+  'settings.invalidRate': 'Please enter a valid rate for {code}',
+  'settings.ratesSavedTitle': 'Saved',
+  'settings.ratesSaved': 'Exchange rates updated',
+  'settings.reset': 'Reset',
+  'settings.resetRatesTitle': 'Reset Exchange Rates',
+  'settings.resetRatesMessage': 'Replace your rates with the built-in defaults?',
+  'settings.loadFailed': 'Failed to load settings',
+  'settings.saveFailed': 'Failed to save settings',
+
+  'themes.system': 'System',
+  'themes.light': 'Light',
+  'themes.dark': 'Dark',
+};
+
+export default en;
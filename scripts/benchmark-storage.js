@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Times the expense storage against the fixture in ./fixtures/expenses.js
+ * (50,000 records by default), next to the old single-key ledger it replaced.
+ * AsyncStorage is swapped for an in-memory store (and expo-localization for a
+ * fixed en-US locale) so the numbers measure parsing, summarising and how much
+ * each step writes rather than the device.
+ *
+ *   pnpm benchmark:storage [count]
+ */
+
+require('sucrase/register');
+const Module = require('module');
+const { createExpenseFixture } = require('./fixtures/expenses');
+
+const store = new Map();
+let bytesWritten = 0;
+
+const write = (key, value) => {
+  bytesWritten += key.length + value.length;
+  store.set(key, value);
+};
+
+const memoryStorage = {
+  getItem: async (key) => (store.has(key) ? store.get(key) : null),
+  setItem: async (key, value) => write(key, value),
+  removeItem: async (key) => {
+    store.delete(key);
+  },
+  getAllKeys: async () => [...store.keys()],
+  multiGet: async (keys) => keys.map(key => [key, store.has(key) ? store.get(key) : null]),
+  multiSet: async (entries) => entries.forEach(([key, value]) => write(key, value)),
+  multiRemove: async (keys) => keys.forEach(key => store.delete(key)),
+};
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...args) {
+  if (request === '@react-native-async-storage/async-storage') {
+    return { __esModule: true, default: memoryStorage };
+  }
+  // Dates are formatted for the device's locale, which Node doesn't have
+  if (request === 'expo-localization') {
+    return { getLocales: () => [{ languageTag: 'en-US', languageCode: 'en' }] };
+  }
+  return originalLoad.call(this, request, ...args);
+};
+
+const {
+  readExpenseTotals,
+  readExpensePage,
+  saveExpenseChanges,
+  CHUNK_KEY_PREFIX,
+} = require('../utils/storage');
+const { getMonthlySpending } = require('../utils/budgets');
+const { getAccountBalances } = require('../utils/accounts');
+const { getCategoryBreakdown } = require('../utils/analytics');
+const { compareExpenseDates } = require('../utils/dates');
+const { DEFAULT_CURRENCY_SETTINGS } = require('../utils/currency');
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+
+const results = [];
+
+const measure = async (step, run) => {
+  bytesWritten = 0;
+  const start = process.hrtime.bigint();
+  const result = await run();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  results.push({ step, ms: Math.round(ms * 10) / 10, written: formatBytes(bytesWritten) });
+  return result;
+};
+
+const main = async () => {
+  const count = Number(process.argv[2]) || 50000;
+  const fixture = createExpenseFixture({ count });
+  const newExpense = {
+    ...fixture[0],
+    id: 'benchmark-new',
+    date: '2025-06-30',
+    timestamp: '2025-06-30T12:00:00.000Z',
+  };
+  console.log(`Benchmarking ${count.toLocaleString('en-US')} records\n`);
+
+  // The old ledger: one key, parsed and sorted on load, rewritten on change
+  await measure('single key: write ledger', () =>
+    memoryStorage.setItem('expenses', JSON.stringify(fixture))
+  );
+  await measure('single key: load and sort', async () =>
+    JSON.parse(await memoryStorage.getItem('expenses')).sort((a, b) => compareExpenseDates(b, a))
+  );
+  await measure('single key: add one expense', () =>
+    memoryStorage.setItem('expenses', JSON.stringify([newExpense, ...fixture]))
+  );
+  await memoryStorage.setItem('expenses', JSON.stringify(fixture));
+
+  // Monthly chunks, starting from the migration an existing install runs once
+  await memoryStorage.setItem('schemaVersion', '3');
+  await measure('chunks: migrate and build totals (once)', () => readExpenseTotals());
+  const totals = await measure('chunks: load totals', () => readExpenseTotals());
+  const page = await measure('chunks: load first page', () => readExpensePage(null, 'desc'));
+  await measure('chunks: add one expense', () => saveExpenseChanges([], [newExpense]));
+  await measure('chunks: delete it again', () => saveExpenseChanges([newExpense], []));
+  await measure('stats: budgets, balances, breakdown', () => {
+    getMonthlySpending(totals, DEFAULT_CURRENCY_SETTINGS);
+    getAccountBalances(
+      [{ id: 'card', openingBalance: 0, currency: 'USD' }],
+      totals,
+      DEFAULT_CURRENCY_SETTINGS
+    );
+    getCategoryBreakdown(totals, { from: null, to: null }, DEFAULT_CURRENCY_SETTINGS);
+  });
+
+  console.table(results);
+
+  const chunkKeys = [...store.keys()].filter(key => key.startsWith(CHUNK_KEY_PREFIX));
+  const largestChunk = Math.max(...chunkKeys.map(key => store.get(key).length));
+  console.log(
+    `\n${chunkKeys.length} monthly chunks, largest ${formatBytes(largestChunk)}; ` +
+    `first page holds ${page.expenses.length} records.`
+  );
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
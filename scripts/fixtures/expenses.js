@@ -0,0 +1,67 @@
+/**
+ * Deterministic ledger fixture for storage benchmarks: `count` records spread
+ * over the `years` before `end`, shaped like the records the app saves
+ * (mostly expenses, some income and transfers, a few currencies and tags).
+ */
+
+const EXPENSE_CATEGORIES = ['Food', 'Transport', 'Shopping', 'Entertainment', 'Bills', 'Health', 'Other'];
+const INCOME_CATEGORIES = ['Salary', 'Freelance'];
+const CURRENCIES = ['USD', 'USD', 'USD', 'EUR', 'GBP'];
+const TAGS = ['client-acme', 'trip-berlin', 'team-lunch', 'reimbursable'];
+const ACCOUNTS = ['card', 'cash', 'bank'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small seeded PRNG (mulberry32) so every run benchmarks the same data
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+const createExpenseFixture = ({
+  count = 50000,
+  years = 5,
+  end = new Date('2025-06-30T12:00:00Z'),
+  seed = 42,
+} = {}) => {
+  const random = createRandom(seed);
+  const spanMs = years * 365 * DAY_MS;
+  const expenses = [];
+
+  for (let index = 0; index < count; index++) {
+    const timestamp = new Date(end.getTime() - Math.floor(random() * spanMs));
+    const roll = random();
+    const type = roll < 0.9 ? 'expense' : roll < 0.97 ? 'income' : 'transfer';
+    const record = {
+      id: `fixture-${index}`,
+      type,
+      amount: Math.round((type === 'income' ? 500 + random() * 3000 : 1 + random() * 150) * 100) / 100,
+      currency: pick(random, CURRENCIES),
+      category: type === 'income'
+        ? pick(random, INCOME_CATEGORIES)
+        : type === 'transfer' ? 'Transfer' : pick(random, EXPENSE_CATEGORIES),
+      description: random() < 0.6 ? `Fixture record ${index}` : '',
+      date: toISODate(timestamp),
+      timestamp: timestamp.toISOString(),
+      accountId: pick(random, ACCOUNTS),
+      tags: random() < 0.2 ? [pick(random, TAGS)] : [],
+    };
+    if (type === 'transfer') {
+      record.toAccountId = ACCOUNTS.find(account => account !== record.accountId);
+    }
+    expenses.push(record);
+  }
+
+  return expenses;
+};
+
+module.exports = { createExpenseFixture };
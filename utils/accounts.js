@@ -0,0 +1,72 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CURRENCY_SETTINGS, formatAmount } from './currency';
+import { getRangeSummary, sumInBase } from './totals';
+
+export const ACCOUNTS_KEY = 'accounts';
+
+export const ACCOUNT_ICONS = [
+  'card', 'cash', 'wallet', 'business', 'briefcase', 'phone-portrait', 'home', 'globe',
+];
+
+// Accounts are where money is paid from or into:
+//   { id, name, icon, currency, openingBalance, archived }
+// Records point at them with accountId, and transfers also with toAccountId.
+// Records without an accountId aren't tied to any account.
+
+export const loadAccounts = async () => {
+  const storedAccounts = await AsyncStorage.getItem(ACCOUNTS_KEY);
+  return storedAccounts ? JSON.parse(storedAccounts) : [];
+};
+
+export const saveAccounts = async (accounts) => {
+  await AsyncStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+};
+
+export const getActiveAccounts = (accounts) =>
+  accounts.filter(account => !account.archived);
+
+export const getAccountName = (accounts, id) => {
+  const account = accounts.find(item => item.id === id);
+  return account ? account.name : 'Unknown account';
+};
+
+// Negative balances read -$12.00 rather than $-12.00
+export const formatBalance = (amount, currency) =>
+  `${amount < 0 ? '-' : ''}${formatAmount(Math.abs(amount), currency)}`;
+
+// Returns an error message, or null when the account can be saved
+export const validateAccount = ({ name, openingBalance }, accounts, id = null) => {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    return 'Please enter an account name';
+  }
+  const taken = accounts.some(account =>
+    account.id !== id && account.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) {
+    return `An account named "${trimmed}" already exists`;
+  }
+  if (isNaN(openingBalance)) {
+    return 'Please enter a valid opening balance';
+  }
+  return null;
+};
+
+// Current balance of every account in its own currency, from the ledger
+// totals: the opening balance plus income, less expenses, with transfers
+// moving money from one to another
+export const getAccountBalances = (
+  accounts,
+  totals,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS
+) => {
+  const { accounts: changes } = getRangeSummary(totals);
+  const balances = {};
+  accounts.forEach(account => {
+    balances[account.id] = account.openingBalance + sumInBase(changes[account.id] || {}, {
+      ...currencySettings,
+      baseCurrency: account.currency,
+    });
+  });
+  return balances;
+};
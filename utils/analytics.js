@@ -0,0 +1,105 @@
+import { parseDate, startOfDay } from './dates';
+import { DEFAULT_CURRENCY_SETTINGS } from './currency';
+import { getMonthSummary, getRangeSummary, sumInBase } from './totals';
+import { getLocale } from './i18n';
+
+export const PERIODS = [
+  { value: 'month', label: 'This Month' },
+  { value: 'year', label: 'Last 12 Months' },
+  { value: 'all', label: 'All Time' },
+];
+
+// Date range covered by a period, or null bounds for all time. Totals come
+// from the ledger's monthly summaries, so a range covers the whole months it
+// touches.
+export const getPeriodRange = (period, now = new Date()) => {
+  switch (period) {
+    case 'month':
+      return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: now };
+    case 'year':
+      return { from: new Date(now.getFullYear(), now.getMonth() - 11, 1), to: now };
+    default:
+      return { from: null, to: null };
+  }
+};
+
+// Spending per category within a range, largest first
+export const getCategoryBreakdown = (
+  totals,
+  range,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS
+) => {
+  const summary = getRangeSummary(totals, range);
+  const total = sumInBase(summary.spending, currencySettings);
+
+  return Object.entries(summary.categories)
+    .map(([category, amounts]) => {
+      const amount = sumInBase(amounts, currencySettings);
+      return {
+        category,
+        amount,
+        share: total > 0 ? amount / total : 0,
+      };
+    })
+    .sort((a, b) => b.amount - a.amount);
+};
+
+// Spending per tag within a range, largest first. An expense with several
+// tags counts towards each of them, so the totals can add up to more than
+// was spent.
+export const getTagTotals = (
+  totals,
+  range,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS
+) => {
+  const summary = getRangeSummary(totals, range);
+
+  return Object.entries(summary.tags)
+    .map(([tag, { count, spending }]) => ({
+      tag,
+      amount: sumInBase(spending, currencySettings),
+      count,
+    }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+// Totals for each of the last `count` calendar months, oldest first
+export const getMonthlyTotals = (
+  totals,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS,
+  now = new Date(),
+  count = 12
+) => {
+  const months = [];
+  for (let offset = count - 1; offset >= 0; offset--) {
+    const start = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+    months.push({
+      year: start.getFullYear(),
+      month: start.getMonth(),
+      label: start.toLocaleDateString(getLocale(), { month: 'short' }),
+      total: sumInBase(getMonthSummary(totals, start).spending, currencySettings),
+    });
+  }
+  return months;
+};
+
+// Average spend per calendar day from the start of the range (or the first
+// record, for all time) up to today
+export const getAverageDailySpend = (
+  totals,
+  range,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS,
+  now = new Date()
+) => {
+  const summary = getRangeSummary(totals, range);
+  if (summary.spendingCount === 0) {
+    return 0;
+  }
+
+  const from = range.from || parseDate(summary.firstDate);
+  const days = Math.max(
+    1,
+    Math.round((startOfDay(now) - startOfDay(from)) / (24 * 60 * 60 * 1000)) + 1
+  );
+  return sumInBase(summary.spending, currencySettings) / days;
+};
@@ -0,0 +1,280 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getRandomBytes } from 'expo-crypto';
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import {
+  CHUNK_KEY_PREFIX,
+  EXPENSE_TOTALS_KEY,
+  SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY,
+  MIGRATION_BACKUP_KEY,
+  getChunkKey,
+  migrateItems,
+  readExpenses,
+  runMigrations,
+  sanitizeExpenses,
+  saveExpenseChanges,
+} from './storage';
+import { CATEGORIES_KEY } from './categories';
+import { ACCOUNTS_KEY } from './accounts';
+import { RECURRING_RULES_KEY } from './recurring';
+import { SETTLEMENTS_KEY } from './splits';
+import { TRASH_KEY } from './trash';
+import { PIN_LOCK_KEY } from './pinLock';
+import { removeMissingReceipts } from './receipts';
+import { getChunkId } from './totals';
+import { DEFAULT_CATEGORIES } from '../constants/categories';
+
+// A backup is a JSON file whose `data` is every stored key, encrypted with
+// AES-256-GCM under a key derived from the user's passphrase:
+//   { format, version, kdf: { name, iterations, salt },
+//     cipher: { name, nonce }, data }
+// Binary fields are base64. The decrypted payload is
+//   { schemaVersion, createdAt, items: { [key]: stored text } }
+// GCM authenticates the data, so a wrong passphrase and a damaged file both
+// fail to decrypt rather than restoring garbage.
+export const BACKUP_FORMAT = 'expense-tracker-backup';
+export const BACKUP_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KDF_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const NONCE_BYTES = 12;
+
+// Keys that belong to this device rather than the user's data, so they are
+// not backed up. A restore leaves them alone, apart from the ledger totals.
+export const LOCAL_ONLY_KEYS = [
+  SCHEMA_VERSION_KEY,
+  MIGRATION_BACKUP_KEY,
+  EXPENSE_TOTALS_KEY,
+  PIN_LOCK_KEY,
+];
+
+// Lists of records with an id, merged record by record
+const ID_LIST_KEYS = [CATEGORIES_KEY, ACCOUNTS_KEY, RECURRING_RULES_KEY, SETTLEMENTS_KEY, TRASH_KEY];
+
+const BINARY_CHUNK_SIZE = 0x8000;
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += BINARY_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + BINARY_CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+// UTF-8 through percent-encoding, since Hermes has no TextDecoder
+const textToBytes = (text) => base64ToBytes(btoa(unescape(encodeURIComponent(text))));
+
+const bytesToText = (bytes) => decodeURIComponent(escape(atob(bytesToBase64(bytes))));
+
+const deriveKey = (passphrase, salt, iterations) =>
+  pbkdf2Async(sha256, textToBytes(passphrase), salt, { c: iterations, dkLen: 32 });
+
+const parseOrNull = (raw) => {
+  try {
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+const parseList = (raw) => {
+  const value = parseOrNull(raw);
+  return Array.isArray(value) ? value : null;
+};
+
+const isChunkKey = (key) => key.startsWith(CHUNK_KEY_PREFIX);
+
+// Every stored key the backup covers, with its stored text
+const readBackupItems = async () => {
+  await runMigrations();
+  const keys = (await AsyncStorage.getAllKeys()).filter(key => !LOCAL_ONLY_KEYS.includes(key));
+  return Object.fromEntries(await AsyncStorage.multiGet(keys));
+};
+
+// Returns an error message, or null when the passphrase can be used
+export const validatePassphrase = (passphrase, confirmation) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Please use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  if (passphrase !== confirmation) {
+    return 'The passphrases do not match';
+  }
+  return null;
+};
+
+// Encrypt all app data and return the text of the backup file
+export const createBackup = async (passphrase, now = new Date()) => {
+  const payload = {
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: now.toISOString(),
+    items: await readBackupItems(),
+  };
+
+  const salt = getRandomBytes(SALT_BYTES);
+  const nonce = getRandomBytes(NONCE_BYTES);
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  const data = gcm(key, nonce).encrypt(textToBytes(JSON.stringify(payload)));
+
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    kdf: { name: 'PBKDF2-SHA256', iterations: KDF_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-256-GCM', nonce: bytesToBase64(nonce) },
+    data: bytesToBase64(data),
+  });
+};
+
+// Check the file and decrypt it. Backups from an older version of the app
+// are migrated in memory, the same way stored data is on launch.
+// Returns { backup } or { error } with a message for the user.
+export const openBackup = async (contents, passphrase) => {
+  const file = parseOrNull(contents);
+  if (!file || file.format !== BACKUP_FORMAT) {
+    return { error: 'This file is not an Expense Tracker backup' };
+  }
+  if (file.version > BACKUP_VERSION) {
+    return { error: 'This backup was made by a newer version of the app. Please update first.' };
+  }
+  if (
+    file.kdf?.name !== 'PBKDF2-SHA256' ||
+    file.cipher?.name !== 'AES-256-GCM' ||
+    !Number.isInteger(file.kdf.iterations) ||
+    typeof file.data !== 'string'
+  ) {
+    return { error: 'This backup file is damaged' };
+  }
+
+  let payload;
+  try {
+    const key = await deriveKey(passphrase, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+    const data = gcm(key, base64ToBytes(file.cipher.nonce)).decrypt(base64ToBytes(file.data));
+    payload = JSON.parse(bytesToText(data));
+  } catch {
+    return { error: 'Wrong passphrase, or the backup file is damaged' };
+  }
+
+  if (!payload || typeof payload.items !== 'object' || !Number.isInteger(payload.schemaVersion)) {
+    return { error: 'This backup file is damaged' };
+  }
+  if (payload.schemaVersion > SCHEMA_VERSION) {
+    return { error: 'This backup was made by a newer version of the app. Please update first.' };
+  }
+
+  const items = { ...payload.items };
+  LOCAL_ONLY_KEYS.forEach(key => delete items[key]);
+  if (payload.schemaVersion < SCHEMA_VERSION) {
+    const { entries, removed } = migrateItems(items, payload.schemaVersion);
+    entries.forEach(([key, value]) => {
+      items[key] = value;
+    });
+    removed.forEach(key => delete items[key]);
+  }
+
+  const { expenses } = sanitizeExpenses(
+    Object.keys(items)
+      .filter(isChunkKey)
+      .flatMap(key => parseOrNull(items[key]) || [])
+  );
+
+  return { backup: { createdAt: payload.createdAt, items, expenses } };
+};
+
+const countItems = (items, key) => (parseList(items[key]) || []).length;
+
+// What an opened backup holds, for showing before it is restored
+export const summarizeBackup = (backup) => {
+  const dates = backup.expenses.map(expense => expense.date).sort();
+  return {
+    createdAt: backup.createdAt,
+    expenses: backup.expenses.length,
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    categories: countItems(backup.items, CATEGORIES_KEY),
+    accounts: countItems(backup.items, ACCOUNTS_KEY),
+    recurringRules: countItems(backup.items, RECURRING_RULES_KEY),
+    trash: countItems(backup.items, TRASH_KEY),
+    hasSettings: Object.keys(backup.items).some(key =>
+      !isChunkKey(key) && !ID_LIST_KEYS.includes(key)
+    ),
+  };
+};
+
+// Receipt images are not in backups, so restored records (and trashed ones)
+// only keep the receipts whose images are still on this device
+const withAvailableReceipts = async (backup) => {
+  const items = { ...backup.items };
+  const trash = parseList(items[TRASH_KEY]);
+  if (trash) {
+    items[TRASH_KEY] = JSON.stringify(await removeMissingReceipts(trash));
+  }
+  return { ...backup, items, expenses: await removeMissingReceipts(backup.expenses) };
+};
+
+// Replace the app's data with the backup. The backup is written before
+// anything is removed, so a failed write never leaves the device empty. The
+// ledger totals go first so they are rebuilt from the restored months.
+export const restoreReplaceAll = async (openedBackup) => {
+  const backup = await withAvailableReceipts(openedBackup);
+  const storedKeys = (await AsyncStorage.getAllKeys()).filter(key =>
+    key === EXPENSE_TOTALS_KEY || !LOCAL_ONLY_KEYS.includes(key)
+  );
+  const entries = Object.entries(backup.items).filter(([key]) => !isChunkKey(key));
+  const chunkEntries = Object.entries(
+    backup.expenses.reduce((chunks, expense) => {
+      const key = getChunkKey(getChunkId(expense));
+      (chunks[key] = chunks[key] || []).push(expense);
+      return chunks;
+    }, {})
+  ).map(([key, records]) => [key, JSON.stringify(records)]);
+
+  const written = [
+    ...entries,
+    ...chunkEntries,
+    [SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)],
+  ];
+  const writtenKeys = new Set(written.map(([key]) => key));
+
+  await AsyncStorage.removeItem(EXPENSE_TOTALS_KEY);
+  await AsyncStorage.multiSet(written);
+  await AsyncStorage.multiRemove(storedKeys.filter(key => !writtenKeys.has(key)));
+};
+
+// Add whatever the device does not have yet, matching records by id. Records
+// already on the device are kept as they are, categories are also skipped
+// when the name is taken, and other settings are only taken from the backup
+// when the device has none. Returns how many expenses were added.
+export const restoreMerge = async (openedBackup) => {
+  const backup = await withAvailableReceipts(openedBackup);
+  const keys = Object.keys(backup.items).filter(key => !isChunkKey(key));
+  const stored = Object.fromEntries(await AsyncStorage.multiGet(keys));
+  const entries = [];
+
+  keys.forEach(key => {
+    if (ID_LIST_KEYS.includes(key)) {
+      const current = parseList(stored[key]) || (key === CATEGORIES_KEY ? DEFAULT_CATEGORIES : []);
+      const incoming = parseList(backup.items[key]) || [];
+      const ids = new Set(current.map(item => item.id));
+      const names = new Set(
+        key === CATEGORIES_KEY ? current.map(item => item.name.toLowerCase()) : []
+      );
+      const added = incoming.filter(item =>
+        !ids.has(item.id) && !(key === CATEGORIES_KEY && names.has(item.name?.toLowerCase()))
+      );
+      if (added.length > 0) {
+        entries.push([key, JSON.stringify([...current, ...added])]);
+      }
+    } else if (stored[key] === null || stored[key] === undefined) {
+      entries.push([key, backup.items[key]]);
+    }
+  });
+
+  const existingIds = new Set((await readExpenses()).map(expense => expense.id));
+  const added = backup.expenses.filter(expense => !existingIds.has(expense.id));
+  await saveExpenseChanges([], added, entries);
+  return added.length;
+};
@@ -0,0 +1,96 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CURRENCY_SETTINGS, getBaseAmount, formatAmount } from './currency';
+import { getExpenseDate } from './dates';
+import { getMonthSummary, sumInBase } from './totals';
+import { t } from './i18n';
+import { isExpense } from '../constants/transactions';
+
+export const BUDGETS_KEY = 'budgets';
+
+// Budgets are stored as { overall: number | null, categories: { [name]: number } }
+export const EMPTY_BUDGETS = { overall: null, categories: {} };
+
+export const loadBudgets = async () => {
+  const storedBudgets = await AsyncStorage.getItem(BUDGETS_KEY);
+  if (!storedBudgets) {
+    return EMPTY_BUDGETS;
+  }
+  const parsedBudgets = JSON.parse(storedBudgets);
+  return {
+    overall: parsedBudgets.overall ?? null,
+    categories: parsedBudgets.categories || {},
+  };
+};
+
+export const saveBudgets = async (budgets) => {
+  await AsyncStorage.setItem(BUDGETS_KEY, JSON.stringify(budgets));
+};
+
+export const hasBudgets = (budgets) =>
+  budgets.overall !== null || Object.keys(budgets.categories).length > 0;
+
+export const isInCurrentMonth = (date) => {
+  const now = new Date();
+  return date.getMonth() === now.getMonth() && date.getFullYear() === now.getFullYear();
+};
+
+// This month's spending overall and per category in the base currency, from
+// the ledger totals. Months follow the expense date, not when the expense was
+// entered; income and transfers don't count.
+export const getMonthlySpending = (totals, currencySettings = DEFAULT_CURRENCY_SETTINGS) => {
+  const summary = getMonthSummary(totals);
+  const byCategory = {};
+  Object.entries(summary.categories).forEach(([category, amounts]) => {
+    byCategory[category] = sumInBase(amounts, currencySettings);
+  });
+  return { total: sumInBase(summary.spending, currencySettings), byCategory };
+};
+
+// Returns a human readable line for each budget the expense would exceed
+export const getBudgetOverruns = (
+  budgets,
+  totals,
+  expense,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS,
+  previous = null
+) => {
+  if (!isExpense(expense) || !isInCurrentMonth(getExpenseDate(expense))) {
+    return [];
+  }
+
+  // Leave out the previous version of the expense when editing
+  const spending = getMonthlySpending(totals, currencySettings);
+  if (previous && isExpense(previous) && isInCurrentMonth(getExpenseDate(previous))) {
+    const previousAmount = getBaseAmount(previous, currencySettings);
+    spending.total -= previousAmount;
+    spending.byCategory[previous.category] =
+      (spending.byCategory[previous.category] || 0) - previousAmount;
+  }
+  const amount = getBaseAmount(expense, currencySettings);
+  const format = (value) => formatAmount(value, currencySettings.baseCurrency);
+  const overruns = [];
+
+  const categoryBudget = budgets.categories[expense.category];
+  if (categoryBudget !== undefined) {
+    const categoryTotal = (spending.byCategory[expense.category] || 0) + amount;
+    if (categoryTotal > categoryBudget) {
+      overruns.push(t('budgets.categoryOverrun', {
+        category: expense.category,
+        total: format(categoryTotal),
+        budget: format(categoryBudget),
+      }));
+    }
+  }
+
+  if (budgets.overall !== null) {
+    const overallTotal = spending.total + amount;
+    if (overallTotal > budgets.overall) {
+      overruns.push(t('budgets.overallOverrun', {
+        total: format(overallTotal),
+        budget: format(budgets.overall),
+      }));
+    }
+  }
+
+  return overruns;
+};
@@ -0,0 +1,78 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CATEGORIES } from '../constants/categories';
+import { BUDGETS_KEY, loadBudgets } from './budgets';
+import { RECURRING_RULES_KEY, loadRecurringRules } from './recurring';
+import { FILTERS_KEY, loadFilters } from './filters';
+import { readExpenses, saveExpenseChanges } from './storage';
+
+export const CATEGORIES_KEY = 'categories';
+
+// The stored array order is the display order
+export const loadCategories = async () => {
+  const storedCategories = await AsyncStorage.getItem(CATEGORIES_KEY);
+  return storedCategories ? JSON.parse(storedCategories) : DEFAULT_CATEGORIES;
+};
+
+export const saveCategories = async (categories) => {
+  await AsyncStorage.setItem(CATEGORIES_KEY, JSON.stringify(categories));
+};
+
+export const getActiveCategories = (categories) =>
+  categories.filter(category => !category.archived);
+
+// Returns an error message, or null when the name can be used
+export const validateCategoryName = (name, categories, id = null) => {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    return 'Please enter a category name';
+  }
+  const taken = categories.some(category =>
+    category.id !== id && category.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return taken ? `A category named "${trimmed}" already exists` : null;
+};
+
+// Apply changes to one category. A new name is carried over to every record
+// that refers to the category by name: expenses, recurring rules, budgets and
+// the saved list filters, all written in one multiSet with the category list.
+export const updateCategory = async (categories, id, changes) => {
+  const category = categories.find(item => item.id === id);
+  const oldName = category.name;
+  const newName = changes.name ?? oldName;
+  const updatedCategories = categories.map(item =>
+    item.id === id ? { ...item, ...changes } : item
+  );
+
+  if (newName === oldName) {
+    await saveCategories(updatedCategories);
+    return updatedCategories;
+  }
+
+  const expenses = await readExpenses();
+  const rules = await loadRecurringRules();
+  const budgets = await loadBudgets();
+  const filters = await loadFilters();
+
+  const rename = (record) =>
+    record.category === oldName ? { ...record, category: newName } : record;
+
+  const budgetCategories = { ...budgets.categories };
+  if (oldName in budgetCategories) {
+    budgetCategories[newName] = budgetCategories[oldName];
+    delete budgetCategories[oldName];
+  }
+
+  // Only the months holding records in the category are rewritten
+  const renamed = expenses.filter(expense => expense.category === oldName);
+  await saveExpenseChanges(renamed, renamed.map(rename), [
+    [RECURRING_RULES_KEY, JSON.stringify(rules.map(rename))],
+    [BUDGETS_KEY, JSON.stringify({ ...budgets, categories: budgetCategories })],
+    [FILTERS_KEY, JSON.stringify({
+      ...filters,
+      categories: filters.categories.map(name => (name === oldName ? newName : name)),
+    })],
+    [CATEGORIES_KEY, JSON.stringify(updatedCategories)],
+  ]);
+
+  return updatedCategories;
+};
@@ -0,0 +1,169 @@
+import { validateExpenseFields } from './validation';
+import { CURRENCIES, DEFAULT_CURRENCY, getExpenseCurrency } from './currency';
+import { normalizeDate } from './dates';
+import { getExpenseTags, parseTags } from './tags';
+import { t } from './i18n';
+import { TRANSACTION_TYPES, EXPENSE_TYPE, getTransactionType } from '../constants/transactions';
+
+export const CSV_COLUMNS = [
+  'id',
+  'type',
+  'amount',
+  'currency',
+  'category',
+  'date',
+  'description',
+  'tags',
+  'timestamp',
+];
+
+// Fields that must be mapped to a CSV column before importing
+export const REQUIRED_FIELDS = ['amount', 'category', 'date'];
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+export const expensesToCsv = (expenses) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  expenses.forEach(expense => {
+    const row = {
+      ...expense,
+      type: getTransactionType(expense),
+      currency: getExpenseCurrency(expense),
+      tags: getExpenseTags(expense).join(', '),
+    };
+    lines.push(CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+// Parse CSV text into rows of cells, handling quoted fields and embedded newlines
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Match CSV headers to expense fields by name, ignoring case and spacing
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const mapping = {};
+  CSV_COLUMNS.forEach(field => {
+    const index = normalized.indexOf(field);
+    mapping[field] = index === -1 ? null : index;
+  });
+  return mapping;
+};
+
+// Build expenses from the data rows, reporting invalid rows and skipping
+// ids that already exist (either in the ledger or earlier in the file).
+export const importCsvRows = (rows, mapping, existingExpenses) => {
+  const existingIds = new Set(existingExpenses.map(expense => expense.id));
+  const importedAt = Date.now();
+  const imported = [];
+  const errors = [];
+  let duplicates = 0;
+
+  rows.forEach((cells, index) => {
+    // Row numbers count the header as row 1
+    const rowNumber = index + 2;
+    const getValue = (field) =>
+      mapping[field] === null || mapping[field] === undefined
+        ? ''
+        : (cells[mapping[field]] || '').trim();
+
+    const fields = {
+      amount: getValue('amount'),
+      category: getValue('category'),
+      date: getValue('date'),
+    };
+
+    const validationError = validateExpenseFields(fields);
+    if (validationError) {
+      errors.push({ row: rowNumber, message: validationError });
+      return;
+    }
+
+    const currency = getValue('currency').toUpperCase() || DEFAULT_CURRENCY;
+    if (!CURRENCIES.some(item => item.code === currency)) {
+      errors.push({ row: rowNumber, message: t('csv.unsupportedCurrency', { currency }) });
+      return;
+    }
+
+    // Files without a type column hold expenses
+    const type = getValue('type').toLowerCase() || EXPENSE_TYPE;
+    if (!TRANSACTION_TYPES.some(item => item.value === type)) {
+      errors.push({ row: rowNumber, message: t('csv.unsupportedType', { type }) });
+      return;
+    }
+
+    const id = getValue('id') || `${importedAt}-${index}`;
+    if (existingIds.has(id)) {
+      duplicates++;
+      return;
+    }
+    existingIds.add(id);
+
+    const timestamp = new Date(getValue('timestamp'));
+    imported.push({
+      id,
+      type,
+      amount: parseFloat(fields.amount),
+      currency,
+      category: fields.category,
+      date: normalizeDate(fields.date),
+      description: getValue('description'),
+      tags: parseTags(getValue('tags')),
+      timestamp: isNaN(timestamp.getTime())
+        ? new Date(importedAt).toISOString()
+        : timestamp.toISOString(),
+    });
+  });
+
+  return { imported, duplicates, errors };
+};
@@ -0,0 +1,109 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getNumberFormat } from './i18n';
+
+export const SETTINGS_KEY = 'settings';
+export const EXCHANGE_RATES_KEY = 'exchangeRates';
+
+// Expenses saved before currencies existed were entered in dollars
+export const DEFAULT_CURRENCY = 'USD';
+
+export const CURRENCIES = [
+  { code: 'USD', symbol: '$' },
+  { code: 'EUR', symbol: '€' },
+  { code: 'GBP', symbol: '£' },
+  { code: 'JPY', symbol: '¥' },
+  { code: 'INR', symbol: '₹' },
+  { code: 'CAD', symbol: 'C$' },
+  { code: 'AUD', symbol: 'A$' },
+  { code: 'CHF', symbol: 'CHF ' },
+  { code: 'CNY', symbol: 'CN¥' },
+  { code: 'SGD', symbol: 'S$' },
+  { code: 'AED', symbol: 'AED ' },
+  { code: 'MXN', symbol: 'MX$' },
+];
+
+// Offline starting point for the rate table: the value of one unit in USD.
+// Rates are always stored against USD so changing the base currency never
+// requires rewriting the table.
+export const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  JPY: 0.0067,
+  INR: 0.012,
+  CAD: 0.73,
+  AUD: 0.66,
+  CHF: 1.12,
+  CNY: 0.14,
+  SGD: 0.74,
+  AED: 0.27,
+  MXN: 0.055,
+};
+
+export const DEFAULT_CURRENCY_SETTINGS = {
+  baseCurrency: DEFAULT_CURRENCY,
+  rates: DEFAULT_RATES,
+};
+
+export const getCurrencySymbol = (code) =>
+  (CURRENCIES.find(currency => currency.code === code) || { symbol: `${code} ` }).symbol;
+
+export const getExpenseCurrency = (expense) => expense.currency || DEFAULT_CURRENCY;
+
+// Written the way the current locale writes money, e.g. "$12.50" or "12,50 €".
+// Codes Intl does not accept fall back to the symbol table.
+export const formatAmount = (amount, code = DEFAULT_CURRENCY) => {
+  try {
+    return getNumberFormat({ style: 'currency', currency: code }).format(amount);
+  } catch {
+    return `${getCurrencySymbol(code)}${amount.toFixed(2)}`;
+  }
+};
+
+// A stored settings object, or {} when it is missing or unreadable. (The
+// storage helpers can't be used here since the ledger totals depend on
+// this module.)
+const parseSettings = (raw) => {
+  try {
+    const value = raw ? JSON.parse(raw) : null;
+    return value && typeof value === 'object' ? value : {};
+  } catch {
+    return {};
+  }
+};
+
+export const loadCurrencySettings = async () => {
+  const [storedSettings, storedRates] = await Promise.all([
+    AsyncStorage.getItem(SETTINGS_KEY),
+    AsyncStorage.getItem(EXCHANGE_RATES_KEY),
+  ]);
+  const settings = parseSettings(storedSettings);
+  const rates = parseSettings(storedRates);
+  return {
+    baseCurrency: settings.baseCurrency || DEFAULT_CURRENCY,
+    rates: { ...DEFAULT_RATES, ...rates },
+  };
+};
+
+export const saveCurrencySettings = async ({ baseCurrency, rates }) => {
+  const settings = parseSettings(await AsyncStorage.getItem(SETTINGS_KEY));
+  await AsyncStorage.multiSet([
+    [SETTINGS_KEY, JSON.stringify({ ...settings, baseCurrency })],
+    [EXCHANGE_RATES_KEY, JSON.stringify(rates)],
+  ]);
+};
+
+export const convertAmount = (amount, fromCode, { baseCurrency, rates }) => {
+  if (fromCode === baseCurrency) {
+    return amount;
+  }
+  return (amount * rates[fromCode]) / rates[baseCurrency];
+};
+
+// Amount of an expense in the base currency
+export const getBaseAmount = (expense, currencySettings) =>
+  convertAmount(expense.amount, getExpenseCurrency(expense), currencySettings);
+
+// How many units of the base currency one unit of `code` is worth
+export const getRateInBase = (code, { baseCurrency, rates }) =>
+  rates[code] / rates[baseCurrency];
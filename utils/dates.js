@@ -0,0 +1,78 @@
+import { getLocale } from './i18n';
+
+// Expense dates are stored as ISO calendar days (YYYY-MM-DD). MM/DD/YYYY
+// (or M/D/YYYY) is still understood because older data and CSV files use it.
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const US_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+// Build a local Date, rejecting days that don't exist (13/45/2025 would
+// otherwise roll over into a later month)
+const buildDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : new Date(NaN);
+};
+
+// Parse a stored or typed date into a local Date. Anything that isn't a whole
+// date in one of the formats above is invalid, so "7" or "2025-03" never
+// passes for a day.
+export const parseDate = (value) => {
+  const iso = ISO_DATE_PATTERN.exec(value);
+  if (iso) {
+    return buildDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+  const us = US_DATE_PATTERN.exec(value);
+  if (us) {
+    return buildDate(Number(us[3]), Number(us[1]), Number(us[2]));
+  }
+  return new Date(NaN);
+};
+
+export const isValidDate = (date) => !isNaN(date.getTime());
+
+// Format a Date as the YYYY-MM-DD string dates are stored as
+export const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Normalize a date in any accepted format to YYYY-MM-DD, or null if it isn't a real day
+export const normalizeDate = (value) => {
+  const date = parseDate(String(value ?? '').trim());
+  return isValidDate(date) ? toISODate(date) : null;
+};
+
+// Short human readable date; the year is only shown when it isn't this year
+export const formatDisplayDate = (value) => {
+  const date = parseDate(value);
+  if (!isValidDate(date)) {
+    return value;
+  }
+
+  const options = {
+    month: 'short',
+    day: 'numeric',
+    year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
+  };
+  return date.toLocaleDateString(getLocale(), options);
+};
+
+// The day an expense happened, falling back to when it was entered
+export const getExpenseDate = (expense) => {
+  const date = parseDate(expense.date);
+  return isValidDate(date) ? date : new Date(expense.timestamp);
+};
+
+// Order by expense date, then by entry time for expenses on the same day
+export const compareExpenseDates = (a, b) =>
+  getExpenseDate(a) - getExpenseDate(b) || new Date(a.timestamp) - new Date(b.timestamp);
+
+// Stable YYYYMMDD key for a calendar day
+export const toDateKey = (date) => toISODate(date).replace(/-/g, '');
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
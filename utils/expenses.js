@@ -0,0 +1,57 @@
+import { readExpenseMonths, readExpenseTotals, saveExpenseChanges } from './storage';
+import { getChunkIds } from './totals';
+import {
+  loadRecurringRules,
+  saveRecurringRules,
+  createRecurringRule,
+  postDueExpenses,
+} from './recurring';
+
+const listeners = new Set();
+
+// Lets the dashboard update its list when the add/edit form saves, rather
+// than reloading it. Listeners get { removed, added, totals }.
+export const subscribeToExpenseSaves = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifySave = (change) => {
+  listeners.forEach(listener => listener(change));
+};
+
+// The stored record with this id, or null. The month it is in (`monthId`,
+// as passed by the dashboard) is read first; bare links to an expense read
+// one month at a time, newest first, until it turns up.
+export const findExpense = async (id, monthId = null) => {
+  const chunkIds = getChunkIds(await readExpenseTotals());
+  const ordered = chunkIds.includes(monthId)
+    ? [monthId, ...chunkIds.filter(chunkId => chunkId !== monthId)]
+    : chunkIds;
+  for (const chunkId of ordered) {
+    const match = (await readExpenseMonths([chunkId])).find(expense => expense.id === id);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+};
+
+// Save a record from the add/edit form in place of `previous` (null for a
+// new one). A repeating expense is saved as a recurring rule instead, with
+// any occurrences already due posted straight away. The rule is stored first,
+// since posting only saves the rules when something came due. Returns the
+// updated totals.
+export const saveExpense = async (expense, previous = null, recurrence = null) => {
+  if (recurrence) {
+    const rules = [...(await loadRecurringRules()), createRecurringRule(expense, recurrence)];
+    await saveRecurringRules(rules);
+    const posted = await postDueExpenses(rules);
+    const totals = await readExpenseTotals();
+    notifySave({ removed: [], added: posted, totals });
+    return totals;
+  }
+  const totals = await saveExpenseChanges(previous ? [previous] : [], [expense]);
+  notifySave({ removed: previous ? [previous] : [], added: [expense], totals });
+  return totals;
+};
@@ -0,0 +1,43 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+// Hand a text file to the user: a download on web, the share sheet on native
+export const shareTextFile = async (filename, contents, mimeType) => {
+  if (Platform.OS === 'web') {
+    const blob = new Blob([contents], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const uri = FileSystem.cacheDirectory + filename;
+  await FileSystem.writeAsStringAsync(uri, contents);
+  await Sharing.shareAsync(uri, { mimeType, dialogTitle: filename });
+};
+
+// Let the user pick a file and return its name and text, or null if cancelled
+export const pickTextFile = async (types) => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: types,
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) {
+    return null;
+  }
+
+  const asset = result.assets[0];
+  const contents = Platform.OS === 'web'
+    ? await asset.file.text()
+    : await FileSystem.readAsStringAsync(asset.uri);
+  return { name: asset.name, contents };
+};
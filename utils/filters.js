@@ -0,0 +1,167 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parseDate, isValidDate, getExpenseDate, compareExpenseDates, endOfDay, toISODate } from './dates';
+import { DEFAULT_CURRENCY_SETTINGS, getBaseAmount } from './currency';
+import { getExpenseTags } from './tags';
+import { getChunkIds } from './totals';
+import { normalizeDecimalInput } from './i18n';
+import { parseOrNull } from './storage';
+
+export const FILTERS_KEY = 'expenseFilters';
+
+export const SORT_OPTIONS = [
+  { value: 'date', label: 'Date' },
+  { value: 'amount', label: 'Amount' },
+  { value: 'category', label: 'Category' },
+];
+
+// Text inputs are kept as strings so half-typed values survive a restart;
+// date bounds are YYYY-MM-DD strings, or '' when unset
+export const DEFAULT_FILTERS = {
+  query: '',
+  categories: [],
+  tags: [],
+  dateFrom: '',
+  dateTo: '',
+  minAmount: '',
+  maxAmount: '',
+  sortBy: 'date',
+  sortDirection: 'desc',
+};
+
+export const loadFilters = async () => {
+  const storedFilters = parseOrNull(await AsyncStorage.getItem(FILTERS_KEY));
+  return storedFilters && typeof storedFilters === 'object'
+    ? { ...DEFAULT_FILTERS, ...storedFilters }
+    : DEFAULT_FILTERS;
+};
+
+export const saveFilters = async (filters) => {
+  await AsyncStorage.setItem(FILTERS_KEY, JSON.stringify(filters));
+};
+
+// Filters that show a single category, optionally within a date range
+export const getCategoryFilters = (filters, category, from = null, to = null) => ({
+  ...DEFAULT_FILTERS,
+  sortBy: filters.sortBy,
+  sortDirection: filters.sortDirection,
+  categories: [category],
+  dateFrom: from ? toISODate(from) : '',
+  dateTo: to ? toISODate(to) : '',
+});
+
+// Filters that show a single tag, optionally within a date range
+export const getTagFilters = (filters, tag, from = null, to = null) => ({
+  ...DEFAULT_FILTERS,
+  sortBy: filters.sortBy,
+  sortDirection: filters.sortDirection,
+  tags: [tag],
+  dateFrom: from ? toISODate(from) : '',
+  dateTo: to ? toISODate(to) : '',
+});
+
+// Filters that show a single calendar month
+export const getMonthFilters = (filters, year, month) => ({
+  ...DEFAULT_FILTERS,
+  sortBy: filters.sortBy,
+  sortDirection: filters.sortDirection,
+  dateFrom: toISODate(new Date(year, month, 1)),
+  dateTo: toISODate(new Date(year, month + 1, 0)),
+});
+
+// Sorting alone doesn't count as filtering
+export const isFiltering = (filters) =>
+  filters.query.trim() !== '' ||
+  filters.categories.length > 0 ||
+  filters.tags.length > 0 ||
+  filters.dateFrom !== '' ||
+  filters.dateTo !== '' ||
+  filters.minAmount !== '' ||
+  filters.maxAmount !== '';
+
+// Invalid bounds are ignored rather than hiding everything
+const parseDateBound = (value) => {
+  const date = parseDate(value);
+  return value && isValidDate(date) ? date : null;
+};
+
+const parseAmountBound = (value) => {
+  const amount = parseFloat(normalizeDecimalInput(value));
+  return isNaN(amount) ? null : amount;
+};
+
+// The stored months a filter can match, in paging order: those in its date
+// range whose summary has one of the chosen tags or categories. Category
+// summaries only cover spending, so months with income or transfers are
+// kept for any category.
+export const getFilterChunkIds = (totals, filters, direction = 'desc') => {
+  const range = { from: parseDateBound(filters.dateFrom), to: parseDateBound(filters.dateTo) };
+  return getChunkIds(totals, direction, range).filter(chunkId => {
+    const summary = totals.chunks[chunkId];
+    if (filters.tags.length > 0 && !filters.tags.some(tag => summary.tags[tag])) {
+      return false;
+    }
+    return filters.categories.length === 0
+      || summary.count > summary.spendingCount
+      || filters.categories.some(category => summary.categories[category]);
+  });
+};
+
+const compareBy = {
+  date: compareExpenseDates,
+  amount: (a, b, currencySettings) =>
+    getBaseAmount(a, currencySettings) - getBaseAmount(b, currencySettings),
+  category: (a, b) => a.category.localeCompare(b.category),
+};
+
+export const applyFilters = (
+  expenses,
+  filters,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS
+) => {
+  const query = filters.query.trim().toLowerCase();
+  const dateFrom = parseDateBound(filters.dateFrom);
+  const dateTo = parseDateBound(filters.dateTo);
+  const minAmount = parseAmountBound(filters.minAmount);
+  const maxAmount = parseAmountBound(filters.maxAmount);
+
+  const filtered = expenses.filter(expense => {
+    const tags = getExpenseTags(expense);
+
+    if (query) {
+      const haystack = `${expense.category} ${expense.description || ''} ${tags.join(' ')}`.toLowerCase();
+      if (!haystack.includes(query)) {
+        return false;
+      }
+    }
+
+    if (filters.categories.length > 0 && !filters.categories.includes(expense.category)) {
+      return false;
+    }
+
+    // Records with any of the selected tags are shown
+    if (filters.tags.length > 0 && !filters.tags.some(tag => tags.includes(tag))) {
+      return false;
+    }
+
+    if (dateFrom || dateTo) {
+      const date = getExpenseDate(expense);
+      if ((dateFrom && date < dateFrom) || (dateTo && date > endOfDay(dateTo))) {
+        return false;
+      }
+    }
+
+    if (minAmount !== null || maxAmount !== null) {
+      // Amount bounds are in the base currency
+      const amount = getBaseAmount(expense, currencySettings);
+      if ((minAmount !== null && amount < minAmount) || (maxAmount !== null && amount > maxAmount)) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+
+  const direction = filters.sortDirection === 'asc' ? 1 : -1;
+  const compare = compareBy[filters.sortBy] || compareBy.date;
+  return filtered.sort((a, b) => direction * compare(a, b, currencySettings));
+};
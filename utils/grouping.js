@@ -0,0 +1,104 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getExpenseDate, startOfDay, toISODate, formatDisplayDate } from './dates';
+import { DEFAULT_CURRENCY_SETTINGS, getBaseAmount } from './currency';
+import { getLocale, t } from './i18n';
+import { isExpense, isIncome } from '../constants/transactions';
+
+export const GROUPING_KEY = 'expenseGrouping';
+
+export const GROUPINGS = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+];
+
+export const DEFAULT_GROUPING = 'day';
+
+export const loadGrouping = async () => {
+  const storedGrouping = await AsyncStorage.getItem(GROUPING_KEY);
+  return GROUPINGS.some(item => item.value === storedGrouping)
+    ? storedGrouping
+    : DEFAULT_GROUPING;
+};
+
+export const saveGrouping = async (grouping) => {
+  await AsyncStorage.setItem(GROUPING_KEY, grouping);
+};
+
+// First day of the day, week (starting on Monday) or month a date falls in
+const getGroupStart = (date, grouping) => {
+  switch (grouping) {
+    case 'week': {
+      const daysSinceMonday = (date.getDay() + 6) % 7;
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+    }
+    case 'month':
+      return new Date(date.getFullYear(), date.getMonth(), 1);
+    default:
+      return startOfDay(date);
+  }
+};
+
+const getGroupTitle = (start, grouping, now) => {
+  if (grouping === 'month') {
+    return start.toLocaleDateString(getLocale(), { month: 'long', year: 'numeric' });
+  }
+
+  const thisGroup = getGroupStart(now, grouping).getTime();
+  const lastGroup = getGroupStart(
+    new Date(now.getFullYear(), now.getMonth(), now.getDate() - (grouping === 'week' ? 7 : 1)),
+    grouping
+  ).getTime();
+  if (start.getTime() === thisGroup) {
+    return t(grouping === 'week' ? 'groupings.thisWeek' : 'groupings.today');
+  }
+  if (start.getTime() === lastGroup) {
+    return t(grouping === 'week' ? 'groupings.lastWeek' : 'groupings.yesterday');
+  }
+  const label = formatDisplayDate(toISODate(start));
+  return grouping === 'week' ? t('groupings.weekOf', { date: label }) : label;
+};
+
+// Split an already sorted list into SectionList sections by day, week or
+// month. Sections run newest first unless `direction` is 'asc'; records keep
+// their order within a section. Subtotals are spending in the base currency,
+// with income counted separately and transfers in neither.
+export const groupExpenses = (
+  expenses,
+  grouping,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS,
+  direction = 'desc',
+  now = new Date()
+) => {
+  const sections = {};
+
+  expenses.forEach(expense => {
+    const start = getGroupStart(getExpenseDate(expense), grouping);
+    const key = toISODate(start);
+    if (!sections[key]) {
+      sections[key] = {
+        key,
+        start,
+        title: getGroupTitle(start, grouping, now),
+        data: [],
+        spending: 0,
+        spendingCount: 0,
+        income: 0,
+        incomeCount: 0,
+      };
+    }
+
+    const section = sections[key];
+    section.data.push(expense);
+    if (isExpense(expense)) {
+      section.spending += getBaseAmount(expense, currencySettings);
+      section.spendingCount++;
+    } else if (isIncome(expense)) {
+      section.income += getBaseAmount(expense, currencySettings);
+      section.incomeCount++;
+    }
+  });
+
+  const sign = direction === 'asc' ? 1 : -1;
+  return Object.values(sections).sort((a, b) => sign * (a.start - b.start));
+};
@@ -0,0 +1,124 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getLocales } from 'expo-localization';
+import en from '../locales/en';
+import de from '../locales/de';
+
+// UI strings live in ../locales, one flat table per language keyed like
+// 'dashboard.title'. Strings missing from a translation fall back to English.
+const TRANSLATIONS = { en, de };
+
+// The language setting: a language code, or 'system' to follow the device
+export const LANGUAGE_KEY = 'language';
+export const SYSTEM_LANGUAGE = 'system';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'de', label: 'Deutsch' },
+];
+
+const getDeviceLocale = () => getLocales()[0] || { languageTag: 'en-US', languageCode: 'en' };
+
+// The language to show and the BCP 47 locale to format dates and numbers
+// with. The device's own locale is kept when its language is the one shown,
+// so an English UI on a British phone still writes dates the British way.
+const resolveLanguage = (setting) => {
+  const device = getDeviceLocale();
+  const language = TRANSLATIONS[setting]
+    ? setting
+    : TRANSLATIONS[device.languageCode] ? device.languageCode : DEFAULT_LANGUAGE;
+  const locale = device.languageCode === language ? device.languageTag : language;
+  return { setting, language, locale };
+};
+
+let current = resolveLanguage(SYSTEM_LANGUAGE);
+const listeners = new Set();
+
+export const getLanguage = () => current.language;
+
+export const getLanguageSetting = () => current.setting;
+
+export const getLocale = () => current.locale;
+
+// The language the 'system' setting would show right now
+export const getSystemLanguage = () => resolveLanguage(SYSTEM_LANGUAGE).language;
+
+// Lets components re-render when the language changes (see useLocale)
+export const subscribeToLanguage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const applyLanguage = (setting) => {
+  current = resolveLanguage(setting);
+  listeners.forEach(listener => listener());
+};
+
+export const loadLanguage = async () => {
+  const storedLanguage = await AsyncStorage.getItem(LANGUAGE_KEY);
+  return TRANSLATIONS[storedLanguage] ? storedLanguage : SYSTEM_LANGUAGE;
+};
+
+export const saveLanguage = async (setting) => {
+  await AsyncStorage.setItem(LANGUAGE_KEY, setting);
+  applyLanguage(setting);
+};
+
+const lookup = (key) => TRANSLATIONS[current.language][key] ?? en[key];
+
+// Look up a string and fill in its {placeholders}. With a `count` param the
+// key_one or key_other form is used when there is one; both languages only
+// need those two.
+export const t = (key, params = {}) => {
+  const pluralKey = params.count === undefined
+    ? null
+    : `${key}_${params.count === 1 ? 'one' : 'other'}`;
+  const template = (pluralKey && lookup(pluralKey)) ?? lookup(key) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+};
+
+// Creating Intl formatters is slow on device, so they are reused
+const formatters = new Map();
+
+export const getNumberFormat = (options = {}) => {
+  const key = `${current.locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(current.locale, options));
+  }
+  return formatters.get(key);
+};
+
+export const formatNumber = (value, options) => getNumberFormat(options).format(value);
+
+export const getDecimalSeparator = () => formatNumber(1.5).replace(/\d/g, '');
+
+// A typed decimal as a string parseFloat understands, e.g. "1.234,50" in
+// German or "1,234.50" in English gives "1234.50". Spaces and apostrophes
+// are grouping. The last dot or comma is the decimal mark when it is the
+// locale's separator, when both are used, or when it is the only one and has
+// one or two digits after it ("12.50" in German, "12,50" in English); any
+// other is grouping and dropped, so "1,234" is 1234 in English.
+export const normalizeDecimalInput = (text) => {
+  const value = String(text ?? '').trim().replace(/[\s']/g, '');
+  const marks = value.replace(/[^.,]/g, '');
+  const mark = marks.charAt(marks.length - 1);
+  if (!mark) {
+    return value;
+  }
+  const isDecimal = mark === getDecimalSeparator()
+    || new Set(marks).size === 2
+    || (marks.length === 1 && /[.,]\d{1,2}$/.test(value));
+  if (!isDecimal) {
+    return value.split(mark).join('');
+  }
+  const index = value.lastIndexOf(mark);
+  const group = mark === '.' ? ',' : '.';
+  return `${value.slice(0, index).split(group).join('')}.${value.slice(index + 1)}`;
+};
+
+// A stored number as it should appear in an input, e.g. "12,5" in German
+export const formatDecimalInput = (value) =>
+  String(value).replace('.', getDecimalSeparator());
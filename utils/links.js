@@ -0,0 +1,83 @@
+import { normalizeDate } from './dates';
+import { parseTags } from './tags';
+import { CURRENCIES } from './currency';
+import { t } from './i18n';
+import { getCategoriesOfType } from '../constants/categories';
+import { EXPENSE_TYPE, TRANSACTION_TYPES } from '../constants/transactions';
+
+// The add screen can be opened from outside the app with its fields filled
+// in, e.g. lc-corporate://add?amount=12.5&category=Food&note=lunch.
+// Links to lc-corporate://expense/<id> open that record for editing instead.
+export const ADD_LINK_PARAMS = ['type', 'amount', 'currency', 'category', 'date', 'note', 'tags'];
+
+// Amounts in links always use a dot, whatever the device's locale
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check the query params of an add link against the user's categories.
+// Returns { prefill } with the form fields to fill in, or { error } with a
+// message saying what is wrong with the link.
+export const parseAddLinkParams = (params, categories) => {
+  const prefill = {};
+
+  // expo-router keeps params that were cleared as undefined
+  const given = Object.entries(params).filter(([, value]) => value !== undefined);
+  for (const [name, value] of given) {
+    if (!ADD_LINK_PARAMS.includes(name)) {
+      return { error: t('links.unknownParam', { name }) };
+    }
+    if (Array.isArray(value)) {
+      return { error: t('links.repeatedParam', { name }) };
+    }
+  }
+
+  const { type = EXPENSE_TYPE, amount, currency, category, date, note, tags } = params;
+
+  if (!TRANSACTION_TYPES.some(item => item.value === type)) {
+    return { error: t('links.invalidType', { value: type }) };
+  }
+  prefill.type = type;
+
+  if (amount !== undefined) {
+    const value = parseFloat(amount);
+    if (!AMOUNT_PATTERN.test(amount) || !(value > 0)) {
+      return { error: t('links.invalidAmount', { value: amount }) };
+    }
+    prefill.amount = value;
+  }
+
+  if (currency !== undefined) {
+    const code = currency.toUpperCase();
+    if (!CURRENCIES.some(item => item.code === code)) {
+      return { error: t('links.invalidCurrency', { value: currency }) };
+    }
+    prefill.currency = code;
+  }
+
+  // Category names are matched regardless of case
+  if (category !== undefined) {
+    const match = getCategoriesOfType(categories, type)
+      .find(cat => cat.name.toLowerCase() === category.trim().toLowerCase());
+    if (!match) {
+      return { error: t('links.unknownCategory', { value: category }) };
+    }
+    prefill.category = match.name;
+  }
+
+  if (date !== undefined) {
+    if (!ISO_DATE_PATTERN.test(date) || normalizeDate(date) !== date) {
+      return { error: t('links.invalidDate', { value: date }) };
+    }
+    prefill.date = date;
+  }
+
+  if (note !== undefined) {
+    prefill.description = note.trim();
+  }
+
+  if (tags !== undefined) {
+    prefill.tags = parseTags(tags);
+  }
+
+  return { prefill };
+};
@@ -0,0 +1,122 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getRandomBytes } from 'expo-crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { SCHEMA_VERSION, SCHEMA_VERSION_KEY } from './storage';
+import { deleteAllReceipts } from './receipts';
+
+// The optional PIN lock. Only a salted PBKDF2 hash of the PIN is stored,
+// together with the re-lock delay and the wrong-attempt counter (kept in
+// storage so restarting the app does not skip the backoff):
+//   { salt, hash, iterations, relockAfter, failedAttempts, lockedUntil }
+// No record means the lock is off.
+export const PIN_LOCK_KEY = 'pinLock';
+
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 8;
+
+// Seconds the app can spend in the background before it locks again
+export const RELOCK_OPTIONS = [
+  { value: 0, label: 'Immediately' },
+  { value: 60, label: '1 min' },
+  { value: 300, label: '5 min' },
+  { value: 900, label: '15 min' },
+];
+export const DEFAULT_RELOCK_AFTER = 60;
+
+const HASH_ITERATIONS = 20000;
+const SALT_BYTES = 16;
+
+// Wrong attempts allowed before each further one locks the keypad, for 30
+// seconds at first and doubling up to an hour
+const FREE_ATTEMPTS = 5;
+const FIRST_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+const hashPin = async (pin, salt, iterations) =>
+  bytesToHex(await pbkdf2Async(sha256, utf8ToBytes(pin), hexToBytes(salt), { c: iterations, dkLen: 32 }));
+
+// Compare without stopping at the first difference
+const hashesMatch = (a, b) => {
+  let difference = a.length ^ b.length;
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    difference |= a.charCodeAt(index) ^ b.charCodeAt(index);
+  }
+  return difference === 0;
+};
+
+export const getLockoutMs = (failedAttempts) =>
+  failedAttempts < FREE_ATTEMPTS
+    ? 0
+    : Math.min(FIRST_LOCKOUT_MS * 2 ** (failedAttempts - FREE_ATTEMPTS), MAX_LOCKOUT_MS);
+
+export const loadPinLock = async () => {
+  const storedLock = await AsyncStorage.getItem(PIN_LOCK_KEY);
+  return storedLock ? JSON.parse(storedLock) : null;
+};
+
+const savePinLock = async (lock) => {
+  await AsyncStorage.setItem(PIN_LOCK_KEY, JSON.stringify(lock));
+};
+
+// Returns an error message, or null when the PIN can be used
+export const validatePin = (pin, confirmation) => {
+  if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin)) {
+    return `Please enter a PIN of ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`;
+  }
+  if (pin !== confirmation) {
+    return 'The PINs do not match';
+  }
+  return null;
+};
+
+// Turn the lock on, or change the PIN, keeping the re-lock delay
+export const setPin = async (pin, relockAfter = DEFAULT_RELOCK_AFTER) => {
+  const salt = bytesToHex(getRandomBytes(SALT_BYTES));
+  await savePinLock({
+    salt,
+    hash: await hashPin(pin, salt, HASH_ITERATIONS),
+    iterations: HASH_ITERATIONS,
+    relockAfter,
+    failedAttempts: 0,
+    lockedUntil: null,
+  });
+};
+
+export const removePin = async () => {
+  await AsyncStorage.removeItem(PIN_LOCK_KEY);
+};
+
+export const setRelockAfter = async (lock, relockAfter) => {
+  const updated = { ...lock, relockAfter };
+  await savePinLock(updated);
+  return updated;
+};
+
+// Check a PIN, counting wrong attempts. Returns { ok, lockedUntil }, where
+// lockedUntil is the time (ms) before which no PIN will be checked at all.
+export const verifyPin = async (pin, now = Date.now()) => {
+  const lock = await loadPinLock();
+  if (!lock) {
+    return { ok: true, lockedUntil: null };
+  }
+  if (lock.lockedUntil && lock.lockedUntil > now) {
+    return { ok: false, lockedUntil: lock.lockedUntil };
+  }
+
+  const ok = hashesMatch(await hashPin(pin, lock.salt, lock.iterations), lock.hash);
+  const failedAttempts = ok ? 0 : lock.failedAttempts + 1;
+  const lockoutMs = getLockoutMs(failedAttempts);
+  const lockedUntil = ok || lockoutMs === 0 ? null : now + lockoutMs;
+  await savePinLock({ ...lock, failedAttempts, lockedUntil });
+  return { ok, lockedUntil };
+};
+
+// The way out for a forgotten PIN: delete every expense, setting and receipt
+// on this device, including the lock itself
+export const wipeLocalData = async () => {
+  await AsyncStorage.clear();
+  await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+  await deleteAllReceipts();
+};
@@ -0,0 +1,151 @@
+import { toISODate } from './dates';
+import { CURRENCIES } from './currency';
+import { t } from './i18n';
+import { validateExpenseFields } from './validation';
+import { OTHER_CATEGORY_ID, getCategoriesOfType } from '../constants/categories';
+import { EXPENSE_TYPE } from '../constants/transactions';
+
+// The dashboard's quick-add box reads a one-line phrase like
+// "12.50 lunch with client yesterday" or "uber 23 on 3/14" into a record.
+// Whatever isn't the amount, the date or a category name is the description.
+
+// Days back from today, in both UI languages
+const DATE_WORDS = { today: 0, yesterday: 1, heute: 0, gestern: 1 };
+// Words that only introduce a date ("on 3/14", "am 14.3.")
+const DATE_PREFIXES = ['on', 'am'];
+
+// An amount with an optional currency symbol before it, and a dot or a
+// comma before the cents: 12, 12.50, 12,50, $12.50, €7
+const AMOUNT_PATTERN = /^(\D{0,3}?)(\d+)(?:[.,](\d{1,2}))?$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const SHORT_DATE_PATTERN = /^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?\.?$/;
+
+const buildDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// 3/14 is month first; 14/3 and 14.3. can only be day first. Without a year
+// the most recent such day is meant, so "12/30" typed in January is last year's.
+const parseShortDate = (match, now) => {
+  const [first, second] = [Number(match[1]), Number(match[2])];
+  const dayFirst = match[0].includes('.') || first > 12;
+  const [month, day] = dayFirst ? [second, first] : [first, second];
+
+  if (match[3]) {
+    const year = Number(match[3]) + (match[3].length === 2 ? 2000 : 0);
+    return buildDate(year, month, day);
+  }
+  const date = buildDate(now.getFullYear(), month, day);
+  return date && date > now ? buildDate(now.getFullYear() - 1, month, day) : date;
+};
+
+const parseDateWord = (word, now) => {
+  if (DATE_WORDS[word] !== undefined) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - DATE_WORDS[word]);
+  }
+  const iso = ISO_DATE_PATTERN.exec(word);
+  if (iso) {
+    return buildDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+  const short = SHORT_DATE_PATTERN.exec(word);
+  return short ? parseShortDate(short, now) : null;
+};
+
+const getSymbolCurrency = (symbol) => {
+  const match = CURRENCIES.find(({ symbol: currencySymbol }) => currencySymbol.trim() === symbol);
+  return match ? match.code : null;
+};
+
+// Words that look like money. One with a currency symbol or cents wins over
+// a bare number, so "2 coffees 7.50" is 7.50. A word right after "on" or "am"
+// is a date, so "uber 23 on 14.3" is 23.
+const findAmount = (words) => {
+  const candidates = words
+    .map((word, index) => ({ index, match: AMOUNT_PATTERN.exec(word) }))
+    .filter(({ match }) => match && (!match[1] || getSymbolCurrency(match[1])))
+    .filter(({ index }) => index === 0 || !DATE_PREFIXES.includes(words[index - 1].toLowerCase()));
+  if (candidates.length === 0) {
+    return null;
+  }
+  const best = candidates.find(({ match }) => match[1] || match[3]) || candidates[0];
+  const [, symbol, whole, cents] = best.match;
+  return {
+    index: best.index,
+    amount: parseFloat(`${whole}.${cents || 0}`),
+    currency: symbol ? getSymbolCurrency(symbol) : null,
+  };
+};
+
+// The longest category name found as whole words, ignoring case and a
+// plural "s" ("bill" finds Bills)
+const findCategory = (words, categories) => {
+  const lowerWords = words.map(word => word.toLowerCase());
+  const matches = [];
+  categories.forEach((category) => {
+    const nameWords = category.name.toLowerCase().split(/\s+/);
+    for (let start = 0; start + nameWords.length <= lowerWords.length; start++) {
+      const found = nameWords.every((nameWord, offset) => {
+        const word = lowerWords[start + offset];
+        return word === nameWord || `${word}s` === nameWord || word === `${nameWord}s`;
+      });
+      if (found) {
+        matches.push({ category, start, length: nameWords.length });
+        break;
+      }
+    }
+  });
+  matches.sort((a, b) => b.length - a.length);
+  return matches[0] || null;
+};
+
+// Parse a quick-add phrase against the user's active expense categories.
+// Returns { expense } with the fields of the new record (currency is null
+// when no symbol was typed), or { error } when there is nothing to save or
+// the record wouldn't pass the add form's checks (e.g. an amount of 0).
+export const parseQuickAdd = (text, categories, now = new Date()) => {
+  // Closing punctuation goes, except the dot of a date like "14.3."
+  let words = text.trim()
+    .replace(/[,;!?]+$/, '')
+    .replace(/(\D)\.+$/, '$1')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const amount = findAmount(words);
+  if (!amount) {
+    return { error: t('quickAdd.noAmount') };
+  }
+  words = words.filter((word, index) => index !== amount.index);
+
+  // The last date in the phrase counts, along with an "on" right before it
+  let date = null;
+  for (let index = words.length - 1; index >= 0; index--) {
+    date = parseDateWord(words[index].toLowerCase(), now);
+    if (date) {
+      const hasPrefix = index > 0 && DATE_PREFIXES.includes(words[index - 1].toLowerCase());
+      words.splice(hasPrefix ? index - 1 : index, hasPrefix ? 2 : 1);
+      break;
+    }
+  }
+
+  // Quick add only records expenses, so "gift 20 for mom" isn't filed under
+  // an income category; without a match the expense goes to "Other"
+  const expenseCategories = getCategoriesOfType(categories, EXPENSE_TYPE);
+  const match = findCategory(words, expenseCategories);
+  let category = expenseCategories.find(cat => cat.id === OTHER_CATEGORY_ID) || { name: 'Other' };
+  if (match) {
+    category = match.category;
+    words.splice(match.start, match.length);
+  }
+
+  const expense = {
+    type: EXPENSE_TYPE,
+    amount: amount.amount,
+    currency: amount.currency,
+    category: category.name,
+    date: toISODate(date || now),
+    description: words.join(' '),
+  };
+  const validationError = validateExpenseFields(expense);
+  return validationError ? { error: validationError } : { expense };
+};
@@ -0,0 +1,82 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import * as ImagePicker from 'expo-image-picker';
+
+// Receipt images are copied into the app's document directory and expenses
+// keep only the file names, since the directory path can change between app
+// updates. The web has no file system, so there the data URI is kept instead.
+export const RECEIPTS_DIR = `${FileSystem.documentDirectory}receipts/`;
+
+export const getReceiptUri = (receipt) =>
+  Platform.OS === 'web' ? receipt : RECEIPTS_DIR + receipt;
+
+// Let the user pick one or more images; returns their uris ([] if cancelled)
+export const pickReceiptFiles = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: 'image/*',
+    multiple: true,
+    copyToCacheDirectory: true,
+  });
+  return result.canceled ? [] : result.assets.map(asset => asset.uri);
+};
+
+// Take a photo with the camera; returns its uri, or null if cancelled
+export const takeReceiptPhoto = async () => {
+  const permission = await ImagePicker.requestCameraPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Camera permission was not granted');
+  }
+
+  const result = await ImagePicker.launchCameraAsync({
+    mediaTypes: ['images'],
+    quality: 0.7,
+  });
+  return result.canceled ? null : result.assets[0].uri;
+};
+
+// Copy a picked image into the receipts directory and return its stored name
+export const storeReceipt = async (uri) => {
+  if (Platform.OS === 'web') {
+    return uri;
+  }
+
+  await FileSystem.makeDirectoryAsync(RECEIPTS_DIR, { intermediates: true });
+  const extension = (/\.(\w+)$/.exec(uri) || [null, 'jpg'])[1].toLowerCase();
+  const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+  await FileSystem.copyAsync({ from: uri, to: RECEIPTS_DIR + name });
+  return name;
+};
+
+export const deleteReceipts = async (receipts) => {
+  if (Platform.OS === 'web') {
+    return;
+  }
+  await Promise.all(receipts.map(receipt =>
+    FileSystem.deleteAsync(RECEIPTS_DIR + receipt, { idempotent: true })
+  ));
+};
+
+// Records with their receipts limited to images that are on this device.
+// Backups hold the records but not the images, so restored records can
+// point at files that don't exist here.
+export const removeMissingReceipts = async (records) => {
+  if (Platform.OS === 'web') {
+    return records;
+  }
+  const names = [...new Set(records.flatMap(record => record.receipts || []))];
+  const infos = await Promise.all(names.map(name => FileSystem.getInfoAsync(RECEIPTS_DIR + name)));
+  const existing = new Set(names.filter((name, index) => infos[index].exists));
+  return records.map(record => (
+    (record.receipts || []).every(receipt => existing.has(receipt))
+      ? record
+      : { ...record, receipts: record.receipts.filter(receipt => existing.has(receipt)) }
+  ));
+};
+
+export const deleteAllReceipts = async () => {
+  if (Platform.OS === 'web') {
+    return;
+  }
+  await FileSystem.deleteAsync(RECEIPTS_DIR, { idempotent: true });
+};
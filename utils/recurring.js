@@ -0,0 +1,197 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { runMigrations, readExpenseMonths, saveExpenseChanges, parseOrNull } from './storage';
+import { getChunkId } from './totals';
+import { parseDate, isValidDate, toISODate, toDateKey, startOfDay, endOfDay } from './dates';
+import { getTransactionType } from '../constants/transactions';
+
+export const RECURRING_RULES_KEY = 'recurringRules';
+
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'yearly', label: 'Yearly' },
+];
+
+export const getFrequencyLabel = (frequency) =>
+  (FREQUENCIES.find(item => item.value === frequency) || {}).label || frequency;
+
+export const loadRecurringRules = async () => {
+  await runMigrations();
+  const storedRules = parseOrNull(await AsyncStorage.getItem(RECURRING_RULES_KEY));
+  return Array.isArray(storedRules) ? storedRules : [];
+};
+
+export const saveRecurringRules = async (rules) => {
+  await AsyncStorage.setItem(RECURRING_RULES_KEY, JSON.stringify(rules));
+};
+
+export const createRecurringRule = (expense, { frequency, endDate }) => ({
+  id: Date.now().toString(),
+  type: getTransactionType(expense),
+  accountId: expense.accountId || null,
+  toAccountId: expense.toAccountId || null,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category,
+  description: expense.description,
+  tags: expense.tags || [],
+  split: expense.split || null,
+  frequency,
+  startDate: expense.date,
+  endDate: endDate || null,
+  paused: false,
+  // Last occurrence that was posted (or deliberately skipped)
+  lastPostedDate: null,
+  createdAt: new Date().toISOString(),
+});
+
+// Occurrences are computed from the start date rather than from the previous
+// occurrence so monthly rules starting on the 31st don't drift to the 28th.
+const getOccurrenceDate = (start, frequency, index) => {
+  const year = start.getFullYear();
+  const month = start.getMonth();
+  const day = start.getDate();
+
+  switch (frequency) {
+    case 'daily':
+      return new Date(year, month, day + index);
+    case 'weekly':
+      return new Date(year, month, day + index * 7);
+    case 'monthly': {
+      const daysInMonth = new Date(year, month + index + 1, 0).getDate();
+      return new Date(year, month + index, Math.min(day, daysInMonth));
+    }
+    case 'yearly': {
+      const daysInMonth = new Date(year + index, month + 1, 0).getDate();
+      return new Date(year + index, month, Math.min(day, daysInMonth));
+    }
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+};
+
+export const getNextOccurrence = (rule, from = new Date()) => {
+  const start = parseDate(rule.startDate);
+  const end = rule.endDate ? endOfDay(parseDate(rule.endDate)) : null;
+  const after = rule.lastPostedDate ? new Date(rule.lastPostedDate) : null;
+  const today = startOfDay(from);
+  if (!isValidDate(start)) {
+    return null;
+  }
+
+  for (let index = 0; ; index++) {
+    const date = getOccurrenceDate(start, rule.frequency, index);
+    if (end && date > end) {
+      return null;
+    }
+    if (date >= today && (!after || date > after)) {
+      return date;
+    }
+  }
+};
+
+const getDueOccurrences = (rule, until) => {
+  const start = parseDate(rule.startDate);
+  const end = rule.endDate ? endOfDay(parseDate(rule.endDate)) : null;
+  const after = rule.lastPostedDate ? new Date(rule.lastPostedDate) : null;
+  const dates = [];
+  if (!isValidDate(start)) {
+    return dates;
+  }
+
+  for (let index = 0; ; index++) {
+    const date = getOccurrenceDate(start, rule.frequency, index);
+    if (date > until || (end && date > end)) {
+      break;
+    }
+    if (!after || date > after) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Occurrence ids are derived from the rule and the day so the same occurrence
+// can never be posted twice, even if saving the rules fails afterwards.
+const getOccurrenceId = (rule, date) => `recurring-${rule.id}-${toDateKey(date)}`;
+
+// Turn every missed occurrence of the active rules into a real expense
+export const createDueExpenses = (rules, expenses, now = new Date()) => {
+  const until = endOfDay(now);
+  const existingIds = new Set(expenses.map(expense => expense.id));
+  const newExpenses = [];
+
+  const updatedRules = rules.map(rule => {
+    if (rule.paused) {
+      return rule;
+    }
+
+    const dueDates = getDueOccurrences(rule, until);
+    if (dueDates.length === 0) {
+      return rule;
+    }
+
+    dueDates.forEach(date => {
+      const id = getOccurrenceId(rule, date);
+      if (existingIds.has(id)) {
+        return;
+      }
+      existingIds.add(id);
+      newExpenses.push({
+        id,
+        type: getTransactionType(rule),
+        accountId: rule.accountId || null,
+        toAccountId: rule.toAccountId || null,
+        amount: rule.amount,
+        currency: rule.currency,
+        category: rule.category,
+        date: toISODate(date),
+        description: rule.description,
+        tags: rule.tags || [],
+        split: rule.split || null,
+        timestamp: date.toISOString(),
+        recurringRuleId: rule.id,
+      });
+    });
+
+    return { ...rule, lastPostedDate: dueDates[dueDates.length - 1].toISOString() };
+  });
+
+  return { newExpenses, updatedRules };
+};
+
+// Post every due occurrence, persisting the new expenses before the rules.
+// Returns the expenses that were posted.
+export const postDueExpenses = async (rules) => {
+  const { newExpenses: dueExpenses, updatedRules } = createDueExpenses(rules, []);
+  if (updatedRules.every((rule, index) => rule === rules[index])) {
+    return [];
+  }
+
+  // Occurrences already in the ledger (posted by a run that never got to
+  // save its rules) are left as they are
+  const months = [...new Set(dueExpenses.map(getChunkId))];
+  const existing = await readExpenseMonths(months);
+  const existingIds = new Set(existing.map(expense => expense.id));
+  const newExpenses = dueExpenses.filter(expense => !existingIds.has(expense.id));
+
+  if (newExpenses.length > 0) {
+    await saveExpenseChanges([], newExpenses);
+  }
+  await saveRecurringRules(updatedRules);
+  return newExpenses;
+};
+
+// Resuming a paused rule skips the occurrences missed while it was paused
+export const setRulePaused = (rule, paused, now = new Date()) => {
+  if (paused) {
+    return { ...rule, paused: true };
+  }
+  const skipUntil = new Date(startOfDay(now).getTime() - 1);
+  const lastPostedDate = rule.lastPostedDate && new Date(rule.lastPostedDate) > skipUntil
+    ? rule.lastPostedDate
+    : skipUntil.toISOString();
+  return { ...rule, paused: false, lastPostedDate };
+};
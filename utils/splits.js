@@ -0,0 +1,171 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CURRENCY_SETTINGS, convertAmount, getExpenseCurrency } from './currency';
+import { formatNumber, t } from './i18n';
+import { isExpense } from '../constants/transactions';
+
+export const SETTLEMENTS_KEY = 'settlements';
+
+// The person using the app, as it appears among the people on a split
+export const SELF_NAME = 'You';
+
+export const SPLIT_METHODS = [
+  { value: 'equal', label: 'Equally' },
+  { value: 'exact', label: 'Amounts' },
+  { value: 'percent', label: 'Percent' },
+];
+
+// A split expense carries
+//   split: { method, paidBy, shares: [{ person, value }] }
+// where value is an amount (exact), a percentage (percent) or null (equal).
+// Settlements are payments between two people that pay off what is owed:
+//   { id, from, to, amount, currency, date, timestamp }
+
+export const loadSettlements = async () => {
+  const storedSettlements = await AsyncStorage.getItem(SETTLEMENTS_KEY);
+  return storedSettlements ? JSON.parse(storedSettlements) : [];
+};
+
+export const saveSettlements = async (settlements) => {
+  await AsyncStorage.setItem(SETTLEMENTS_KEY, JSON.stringify(settlements));
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Each person's share of a split expense, in the expense currency. Rounding
+// leftovers go to the first people so the shares always add up to the amount.
+export const getSplitShares = (amount, split) => {
+  const totalCents = toCents(amount);
+  const { shares } = split;
+
+  let cents;
+  if (split.method === 'exact') {
+    cents = shares.map(share => toCents(share.value));
+  } else {
+    const weights = split.method === 'percent'
+      ? shares.map(share => share.value)
+      : shares.map(() => 1);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    cents = weights.map(weight =>
+      totalWeight > 0 ? Math.floor((totalCents * weight) / totalWeight) : 0
+    );
+    let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+    for (let index = 0; leftover > 0; index = (index + 1) % cents.length) {
+      cents[index]++;
+      leftover--;
+    }
+  }
+
+  return shares.map((share, index) => ({ person: share.person, amount: cents[index] / 100 }));
+};
+
+const TWO_DECIMALS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+// Returns an error message for an invalid split, or null
+export const validateSplit = (amount, split) => {
+  const names = split.shares.map(share => share.person.trim());
+  if (names.length < 2 || names.some(name => !name)) {
+    return t('splits.needTwoPeople');
+  }
+  if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+    return t('splits.uniqueNames');
+  }
+  if (!names.includes(split.paidBy)) {
+    return t('splits.choosePayer');
+  }
+  if (split.method === 'equal') {
+    return null;
+  }
+
+  const values = split.shares.map(share => share.value);
+  if (values.some(value => typeof value !== 'number' || isNaN(value) || value < 0)) {
+    return t('splits.invalidShare');
+  }
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (split.method === 'exact' && toCents(total) !== toCents(amount)) {
+    return t('splits.amountsMismatch', {
+      total: formatNumber(total, TWO_DECIMALS),
+      amount: formatNumber(amount, TWO_DECIMALS),
+    });
+  }
+  if (split.method === 'percent' && Math.abs(total - 100) > 0.01) {
+    return t('splits.percentMismatch', { total: formatNumber(total, { maximumFractionDigits: 2 }) });
+  }
+  return null;
+};
+
+// Net balance per person in the base currency: positive when they are owed
+// money, negative when they owe it
+export const getBalances = (
+  expenses,
+  settlements,
+  currencySettings = DEFAULT_CURRENCY_SETTINGS
+) => {
+  const balances = {};
+  const add = (person, amount) => {
+    balances[person] = (balances[person] || 0) + amount;
+  };
+
+  expenses
+    .filter(expense => expense.split && isExpense(expense))
+    .forEach(expense => {
+      const currency = getExpenseCurrency(expense);
+      const { paidBy } = expense.split;
+      getSplitShares(expense.amount, expense.split).forEach(({ person, amount }) => {
+        if (person === paidBy) {
+          return;
+        }
+        const baseAmount = convertAmount(amount, currency, currencySettings);
+        add(person, -baseAmount);
+        add(paidBy, baseAmount);
+      });
+    });
+
+  settlements.forEach(settlement => {
+    const baseAmount = convertAmount(settlement.amount, settlement.currency, currencySettings);
+    add(settlement.from, baseAmount);
+    add(settlement.to, -baseAmount);
+  });
+
+  return Object.entries(balances)
+    .map(([person, amount]) => ({ person, amount: toCents(amount) / 100 }))
+    .filter(balance => balance.amount !== 0)
+    .sort((a, b) => b.amount - a.amount);
+};
+
+// Payments that settle every balance. The largest debt is always paid to the
+// largest creditor, which needs at most one payment fewer than there are
+// people with a balance.
+export const getSettlementSuggestions = (balances) => {
+  const creditors = balances
+    .filter(balance => balance.amount > 0)
+    .map(balance => ({ person: balance.person, cents: toCents(balance.amount) }));
+  const debtors = balances
+    .filter(balance => balance.amount < 0)
+    .map(balance => ({ person: balance.person, cents: -toCents(balance.amount) }));
+  const byLargest = (a, b) => b.cents - a.cents;
+  const payments = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byLargest);
+    debtors.sort(byLargest);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    payments.push({ from: debtor.person, to: creditor.person, amount: cents / 100 });
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) {
+      creditors.shift();
+    }
+    if (debtor.cents === 0) {
+      debtors.shift();
+    }
+  }
+
+  return payments;
+};
+
+// "You pay Sam" / "Alex pays Sam"
+export const describePayment = ({ from, to }) =>
+  `${from} ${from === SELF_NAME ? 'pay' : 'pays'} ${to}`;
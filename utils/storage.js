@@ -0,0 +1,526 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isValidDate, normalizeDate, parseDate, toISODate } from './dates';
+import {
+  TOTALS_VERSION,
+  getChunkId,
+  getChunkIds,
+  summarizeChunk,
+} from './totals';
+import { DEFAULT_CATEGORIES } from '../constants/categories';
+import { EXPENSE_TYPE, TRANSACTION_TYPES } from '../constants/transactions';
+
+// The ledger is split into one key per calendar month ("expenses.chunk.2025-03")
+// so a change only rewrites the month it touches. The totals key lists every
+// chunk with a summary of it (see utils/totals.js); it is a cache and is
+// rebuilt from the chunks when it is missing or out of date.
+export const CHUNK_KEY_PREFIX = 'expenses.chunk.';
+export const EXPENSE_TOTALS_KEY = 'expenses.totals';
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Expenses are loaded a page of whole months at a time, at least this many
+// records per page
+export const PAGE_SIZE = 200;
+
+export const getChunkKey = (chunkId) => `${CHUNK_KEY_PREFIX}${chunkId}`;
+
+// Raw copy of everything a migration run touches, kept until the run commits
+export const MIGRATION_BACKUP_KEY = 'migrationBackup';
+
+// Records that could not be repaired are moved here instead of being dropped
+export const REJECTED_EXPENSES_KEY = 'expenses.rejected';
+export const CORRUPT_EXPENSES_KEY = 'expenses.corrupt';
+
+// Apply a change to every record in a stored list, leaving anything that
+// isn't a record for sanitizeExpenses to deal with
+const mapRecords = (records, update) =>
+  Array.isArray(records)
+    ? records.map(record => (record && typeof record === 'object' ? update(record) : record))
+    : records;
+
+// Ordered list of schema migrations. Each one names the storage keys it reads
+// and writes, and receives their parsed values (null when missing). It can
+// also return keys it didn't name, which are written, and set a named key to
+// undefined to remove it. Key names are spelled out here rather than imported
+// so a migration keeps meaning what it meant when it was written.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Record the currency on entries saved before multi-currency support',
+    keys: ['expenses', 'recurringRules'],
+    migrate: ({ expenses, recurringRules }) => {
+      const withCurrency = (record) => (record.currency ? record : { ...record, currency: 'USD' });
+      return {
+        expenses: mapRecords(expenses, withCurrency),
+        recurringRules: mapRecords(recurringRules, withCurrency),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Store dates as ISO calendar days (YYYY-MM-DD) instead of MM/DD/YYYY',
+    keys: ['expenses', 'recurringRules', 'expenseFilters'],
+    migrate: ({ expenses, recurringRules, expenseFilters }) => {
+      // Dates that aren't real days are left alone; readExpenses repairs them
+      // from the timestamp
+      const toISO = (value) => (value ? normalizeDate(value) || value : value);
+      return {
+        expenses: mapRecords(expenses, expense => ({ ...expense, date: toISO(expense.date) })),
+        recurringRules: mapRecords(recurringRules, rule => ({
+          ...rule,
+          startDate: toISO(rule.startDate),
+          endDate: toISO(rule.endDate),
+        })),
+        // Half-typed filter dates can't be converted and are cleared
+        expenseFilters: expenseFilters && {
+          ...expenseFilters,
+          dateFrom: normalizeDate(expenseFilters.dateFrom) || '',
+          dateTo: normalizeDate(expenseFilters.dateTo) || '',
+        },
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'Mark existing records and categories as expenses now that income can be recorded',
+    keys: ['expenses', 'recurringRules', 'expenses.trash', 'categories'],
+    migrate: ({ expenses, recurringRules, 'expenses.trash': trash, categories }) => {
+      const asExpense = (record) => (record.type ? record : { ...record, type: 'expense' });
+      // A customised category list gets the income categories it has never
+      // had, unless it already uses one of their names
+      const incomeCategories = DEFAULT_CATEGORIES.filter(category =>
+        category.type === 'income' &&
+        !(categories || []).some(existing =>
+          existing && (existing.id === category.id || existing.name === category.name)
+        )
+      );
+      return {
+        expenses: mapRecords(expenses, asExpense),
+        recurringRules: mapRecords(recurringRules, asExpense),
+        'expenses.trash': mapRecords(trash, asExpense),
+        categories: Array.isArray(categories)
+          ? [...mapRecords(categories, asExpense), ...incomeCategories]
+          : categories,
+      };
+    },
+  },
+  {
+    version: 4,
+    description: 'Split the ledger into one chunk per month',
+    keys: ['expenses'],
+    migrate: ({ expenses }) => {
+      if (!Array.isArray(expenses)) {
+        return {};
+      }
+      // Records go in the month sanitizeExpense would give them, so repairs
+      // on reading never move a record to another chunk. The totals are
+      // built on first read, once the records have been checked.
+      const getMonth = (record) => {
+        const date = record && typeof record.date === 'string' ? normalizeDate(record.date) : null;
+        const timestamp = new Date(record && record.timestamp);
+        const fallback = isValidDate(timestamp) ? timestamp : new Date();
+        return (date || toISODate(fallback)).slice(0, 7);
+      };
+      const chunks = {};
+      expenses.forEach(record => {
+        const key = `expenses.chunk.${getMonth(record)}`;
+        chunks[key] = chunks[key] || [];
+        chunks[key].push(record);
+      });
+      return { ...chunks, expenses: undefined };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Unreadable values are treated as missing so the migration leaves them in
+// place; readExpenses sets an unreadable ledger aside, and the loaders of the
+// other keys fall back to their defaults
+export const parseOrNull = (raw) => {
+  try {
+    return raw === null ? null : JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+// Put back the data saved by a migration run that never committed
+const restoreBackup = async (backup) => {
+  const entries = Object.entries(backup.items);
+  const present = entries.filter(([, raw]) => raw !== null);
+  const missing = entries.filter(([, raw]) => raw === null).map(([key]) => key);
+
+  await AsyncStorage.multiSet([
+    ...present,
+    [SCHEMA_VERSION_KEY, String(backup.version)],
+  ]);
+  if (missing.length > 0) {
+    await AsyncStorage.multiRemove(missing);
+  }
+};
+
+// Storage keys the migrations after `fromVersion` read and write
+export const getMigrationKeys = (fromVersion) => [
+  ...new Set(
+    MIGRATIONS
+      .filter(migration => migration.version > fromVersion)
+      .flatMap(migration => migration.keys)
+  ),
+];
+
+// Run the migrations after `fromVersion` over raw stored values (JSON text,
+// or null when missing) keyed by storage key. Returns the entries to write
+// and the keys to remove. Used on stored data and on restored backups.
+export const migrateItems = (rawItems, fromVersion) => {
+  const keys = getMigrationKeys(fromVersion);
+  let data = {};
+  keys.forEach(key => {
+    data[key] = parseOrNull(rawItems[key] ?? null);
+  });
+
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      const input = {};
+      migration.keys.forEach(key => {
+        input[key] = data[key];
+      });
+      data = { ...data, ...migration.migrate(input) };
+    });
+
+  const changed = Object.keys(data).filter(key => data[key] !== null && data[key] !== undefined);
+  return {
+    entries: changed.map(key => [key, JSON.stringify(data[key])]),
+    removed: keys.filter(key => data[key] === undefined && (rawItems[key] ?? null) !== null),
+  };
+};
+
+const migrate = async () => {
+  const storedBackup = await AsyncStorage.getItem(MIGRATION_BACKUP_KEY);
+  if (storedBackup) {
+    console.warn('Restoring data from an interrupted migration');
+    await restoreBackup(JSON.parse(storedBackup));
+  }
+
+  const storedVersion = await AsyncStorage.getItem(SCHEMA_VERSION_KEY);
+  const currentVersion = storedVersion ? Number(storedVersion) : 0;
+  if (currentVersion >= SCHEMA_VERSION) {
+    return;
+  }
+
+  const keys = getMigrationKeys(currentVersion);
+  const rawItems = Object.fromEntries(await AsyncStorage.multiGet(keys));
+
+  await AsyncStorage.setItem(
+    MIGRATION_BACKUP_KEY,
+    JSON.stringify({ version: currentVersion, items: rawItems })
+  );
+
+  const { entries, removed } = migrateItems(rawItems, currentVersion);
+  await AsyncStorage.multiSet([
+    ...entries,
+    [SCHEMA_VERSION_KEY, String(SCHEMA_VERSION)],
+  ]);
+  if (removed.length > 0) {
+    await AsyncStorage.multiRemove(removed);
+  }
+
+  // Only drop the backup once everything has been written
+  await AsyncStorage.removeItem(MIGRATION_BACKUP_KEY);
+};
+
+let migrationPromise = null;
+
+// Runs pending migrations once per app launch; a failed run leaves its
+// backup in place and is retried on the next call
+export const runMigrations = () => {
+  if (!migrationPromise) {
+    migrationPromise = migrate().catch(error => {
+      migrationPromise = null;
+      throw error;
+    });
+  }
+  return migrationPromise;
+};
+
+// Check a stored record, repairing what can be repaired. Returns null for
+// records that cannot be used (no usable amount, or not an object at all).
+const sanitizeExpense = (record, index, seenIds) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return null;
+  }
+
+  const amount = typeof record.amount === 'number' ? record.amount : parseFloat(record.amount);
+  if (!isFinite(amount) || amount <= 0) {
+    return null;
+  }
+
+  const expense = { ...record, amount };
+
+  let id = record.id === undefined || record.id === null ? '' : String(record.id);
+  if (!id || seenIds.has(id)) {
+    id = `repaired-${Date.now()}-${index}`;
+  }
+  seenIds.add(id);
+  expense.id = id;
+
+  if (typeof record.category !== 'string' || !record.category.trim()) {
+    expense.category = 'Other';
+  }
+  if (typeof record.description !== 'string') {
+    expense.description = '';
+  }
+  if (!TRANSACTION_TYPES.some(item => item.value === record.type)) {
+    expense.type = EXPENSE_TYPE;
+  }
+  // Records saved before tags existed simply have none
+  if (record.tags !== undefined && !Array.isArray(record.tags)) {
+    expense.tags = [];
+  } else if (Array.isArray(record.tags) && record.tags.some(tag => typeof tag !== 'string')) {
+    expense.tags = record.tags.filter(tag => typeof tag === 'string');
+  }
+
+  // Dates must be real days stored as YYYY-MM-DD
+  const date = typeof record.date === 'string' ? normalizeDate(record.date) : null;
+  const timestamp = new Date(record.timestamp);
+  if (!isValidDate(timestamp)) {
+    expense.timestamp = (date ? parseDate(date) : new Date()).toISOString();
+  }
+  if (date !== record.date) {
+    expense.date = date || toISODate(new Date(expense.timestamp));
+  }
+
+  return expense;
+};
+
+export const sanitizeExpenses = (records) => {
+  const seenIds = new Set();
+  const expenses = [];
+  const rejected = [];
+  let repaired = 0;
+
+  records.forEach((record, index) => {
+    const expense = sanitizeExpense(record, index, seenIds);
+    if (!expense) {
+      rejected.push(record);
+      return;
+    }
+    if (JSON.stringify(expense) !== JSON.stringify(record)) {
+      repaired++;
+    }
+    expenses.push(expense);
+  });
+
+  return { expenses, rejected, repaired };
+};
+
+const quarantine = async (key, items) => {
+  const stored = await AsyncStorage.getItem(key);
+  const existing = stored ? JSON.parse(stored) : [];
+  await AsyncStorage.setItem(key, JSON.stringify([...existing, ...items]));
+};
+
+const groupByChunk = (records) => {
+  const chunks = {};
+  records.forEach(record => {
+    const chunkId = getChunkId(record);
+    chunks[chunkId] = chunks[chunkId] || [];
+    chunks[chunkId].push(record);
+  });
+  return chunks;
+};
+
+const readStoredTotals = async () => {
+  const totals = parseOrNull(await AsyncStorage.getItem(EXPENSE_TOTALS_KEY));
+  return totals && totals.version === TOTALS_VERSION ? totals : null;
+};
+
+// Write chunks along with any `extraEntries` in one multiSet, keeping the
+// totals in step when they are given. Chunks left empty are removed.
+const writeChunks = async (recordsByChunk, totals, extraEntries = []) => {
+  const updatedTotals = totals && { ...totals, chunks: { ...totals.chunks } };
+  const entries = [...extraEntries];
+  const emptied = [];
+
+  Object.entries(recordsByChunk).forEach(([chunkId, records]) => {
+    if (records.length === 0) {
+      emptied.push(getChunkKey(chunkId));
+      if (updatedTotals) {
+        delete updatedTotals.chunks[chunkId];
+      }
+      return;
+    }
+    entries.push([getChunkKey(chunkId), JSON.stringify(records)]);
+    if (updatedTotals) {
+      updatedTotals.chunks[chunkId] = summarizeChunk(records);
+    }
+  });
+
+  if (updatedTotals) {
+    entries.push([EXPENSE_TOTALS_KEY, JSON.stringify(updatedTotals)]);
+  }
+  await AsyncStorage.multiSet(entries);
+  if (emptied.length > 0) {
+    await AsyncStorage.multiRemove(emptied);
+  }
+  return updatedTotals;
+};
+
+// Load chunks by id. Corrupt data never throws: an unreadable chunk is set
+// aside and replaced with an empty one, and individual bad records are
+// repaired or set aside.
+const readChunks = async (chunkIds) => {
+  const stored = await AsyncStorage.multiGet(chunkIds.map(getChunkKey));
+  const chunks = {};
+  const repairedChunks = {};
+  const corrupt = [];
+  const rejected = [];
+  let repaired = 0;
+
+  stored.forEach(([key, raw]) => {
+    const chunkId = key.slice(CHUNK_KEY_PREFIX.length);
+    if (raw === null) {
+      chunks[chunkId] = [];
+      return;
+    }
+
+    let records;
+    try {
+      records = JSON.parse(raw);
+    } catch {
+      records = null;
+    }
+    if (!Array.isArray(records)) {
+      corrupt.push(raw);
+      chunks[chunkId] = [];
+      repairedChunks[chunkId] = [];
+      return;
+    }
+
+    const result = sanitizeExpenses(records);
+    chunks[chunkId] = result.expenses;
+    if (result.rejected.length > 0 || result.repaired > 0) {
+      rejected.push(...result.rejected);
+      repaired += result.repaired;
+      repairedChunks[chunkId] = result.expenses;
+    }
+  });
+
+  if (corrupt.length > 0) {
+    console.warn(`${corrupt.length} months of expense data were unreadable and have been set aside`);
+    await quarantine(CORRUPT_EXPENSES_KEY, corrupt);
+  }
+  if (rejected.length > 0 || repaired > 0) {
+    console.warn(`Repaired ${repaired} and set aside ${rejected.length} expense records`);
+    if (rejected.length > 0) {
+      await quarantine(REJECTED_EXPENSES_KEY, rejected);
+    }
+  }
+  if (Object.keys(repairedChunks).length > 0) {
+    await writeChunks(repairedChunks, await readStoredTotals());
+  }
+
+  return chunks;
+};
+
+// The list of chunks with their summaries, after any pending migrations.
+// Totals that are missing or were written by an older version are rebuilt
+// from the chunks themselves.
+export const readExpenseTotals = async () => {
+  await runMigrations();
+
+  const stored = await readStoredTotals();
+  if (stored) {
+    return stored;
+  }
+
+  const chunkIds = (await AsyncStorage.getAllKeys())
+    .filter(key => key.startsWith(CHUNK_KEY_PREFIX))
+    .map(key => key.slice(CHUNK_KEY_PREFIX.length));
+  const chunks = await readChunks(chunkIds);
+  const totals = { version: TOTALS_VERSION, chunks: {} };
+  Object.entries(chunks).forEach(([chunkId, records]) => {
+    if (records.length > 0) {
+      totals.chunks[chunkId] = summarizeChunk(records);
+    }
+  });
+  await AsyncStorage.setItem(EXPENSE_TOTALS_KEY, JSON.stringify(totals));
+  return totals;
+};
+
+// Load every record in the given months
+export const readExpenseMonths = async (chunkIds) => {
+  await runMigrations();
+  const chunks = await readChunks(chunkIds);
+  return chunkIds.flatMap(chunkId => chunks[chunkId]);
+};
+
+// Load the whole ledger. Screens that only need totals should use
+// readExpenseTotals, and long lists readExpensePage.
+export const readExpenses = async () =>
+  readExpenseMonths(getChunkIds(await readExpenseTotals()));
+
+// Load the next page of whole months, newest first (or oldest first when
+// `direction` is 'asc'), after the month `cursor` names. The returned cursor
+// is null once there are no more months. `selectChunks(totals, direction)`
+// can narrow the months paged through, e.g. to those a filter can match.
+export const readExpensePage = async (
+  cursor = null,
+  direction = 'desc',
+  selectChunks = getChunkIds
+) => {
+  const totals = await readExpenseTotals();
+  const remaining = selectChunks(totals, direction).filter(chunkId =>
+    !cursor || (direction === 'asc' ? chunkId > cursor : chunkId < cursor)
+  );
+
+  const pageIds = [];
+  let count = 0;
+  for (const chunkId of remaining) {
+    if (count >= PAGE_SIZE) {
+      break;
+    }
+    pageIds.push(chunkId);
+    count += totals.chunks[chunkId].count;
+  }
+
+  const chunks = await readChunks(pageIds);
+  return {
+    expenses: pageIds.flatMap(chunkId => chunks[chunkId]),
+    cursor: pageIds.length < remaining.length ? pageIds[pageIds.length - 1] : null,
+    totals,
+  };
+};
+
+// Replace the `previous` records with the `next` ones, rewriting only the
+// months either of them fall in. Records are matched by id, so this adds,
+// edits (including moving a record to another month) and, with nothing in
+// `next`, deletes. `extraEntries` are written in the same multiSet.
+// Returns the updated totals.
+export const saveExpenseChanges = async (previous, next, extraEntries = []) => {
+  const totals = await readExpenseTotals();
+  const chunkIds = [...new Set([...previous, ...next].map(getChunkId))];
+  const chunks = await readChunks(chunkIds);
+  const changedIds = new Set([...previous, ...next].map(record => record.id));
+  const nextByChunk = groupByChunk(next);
+
+  const updatedChunks = {};
+  chunkIds.forEach(chunkId => {
+    updatedChunks[chunkId] = [
+      ...chunks[chunkId].filter(record => !changedIds.has(record.id)),
+      ...(nextByChunk[chunkId] || []),
+    ];
+  });
+
+  return writeChunks(updatedChunks, totals, extraEntries);
+};
+
+// Replace the whole ledger, e.g. when restoring a backup. Returns the totals.
+export const writeExpenses = async (expenses, extraEntries = []) => {
+  const totals = await readExpenseTotals();
+  const updatedChunks = groupByChunk(expenses);
+  Object.keys(totals.chunks).forEach(chunkId => {
+    updatedChunks[chunkId] = updatedChunks[chunkId] || [];
+  });
+  return writeChunks(updatedChunks, totals, extraEntries);
+};
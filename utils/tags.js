@@ -0,0 +1,47 @@
+// Tags are free-form labels stored on a record as `tags: string[]`. They are
+// kept lower case with dashes instead of spaces ("Trip Berlin" -> "trip-berlin")
+// so the same tag is never saved twice under different spellings.
+
+const MAX_SUGGESTIONS = 6;
+
+export const normalizeTag = (text) =>
+  text
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[\s,]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '');
+
+export const getExpenseTags = (expense) =>
+  Array.isArray(expense.tags) ? expense.tags : [];
+
+// Split typed or imported text ("client-acme, trip berlin") into tags.
+// Commas separate tags, so spaces inside one become dashes.
+export const parseTags = (text) => [
+  ...new Set(text.split(/[,;]/).map(normalizeTag).filter(Boolean)),
+];
+
+// Every tag in use according to the ledger totals, most used first
+export const getTagsInUse = (totals) => {
+  const counts = {};
+  Object.values(totals.chunks).forEach(summary => {
+    Object.entries(summary.tags).forEach(([tag, { count }]) => {
+      counts[tag] = (counts[tag] || 0) + count;
+    });
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+// Tags in use that match what has been typed so far, leaving out those
+// already picked. Tags starting with the text come before other matches.
+export const getTagSuggestions = (text, tagsInUse, selected = []) => {
+  const query = normalizeTag(text);
+  const available = tagsInUse.filter(tag => !selected.includes(tag));
+  if (!query) {
+    return available.slice(0, MAX_SUGGESTIONS);
+  }
+  const prefixed = available.filter(tag => tag.startsWith(query));
+  const containing = available.filter(tag => !tag.startsWith(query) && tag.includes(query));
+  return [...prefixed, ...containing].slice(0, MAX_SUGGESTIONS);
+};
@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// The theme setting: 'light', 'dark', or 'system' to follow the device
+export const THEME_KEY = 'theme';
+export const SYSTEM_THEME = 'system';
+
+export const THEME_MODES = [SYSTEM_THEME, 'light', 'dark'];
+
+let currentSetting = SYSTEM_THEME;
+const listeners = new Set();
+
+export const getThemeSetting = () => currentSetting;
+
+// Lets components re-render when the setting changes (see useTheme)
+export const subscribeToTheme = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const applyTheme = (setting) => {
+  currentSetting = THEME_MODES.includes(setting) ? setting : SYSTEM_THEME;
+  listeners.forEach(listener => listener());
+};
+
+export const loadTheme = async () => {
+  const storedTheme = await AsyncStorage.getItem(THEME_KEY);
+  return THEME_MODES.includes(storedTheme) ? storedTheme : SYSTEM_THEME;
+};
+
+export const saveTheme = async (setting) => {
+  await AsyncStorage.setItem(THEME_KEY, setting);
+  applyTheme(setting);
+};
+
+const parseHex = (color) => {
+  const hex = color.replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex.slice(0, 6);
+  return [0, 2, 4].map(start => parseInt(full.slice(start, start + 2), 16));
+};
+
+const toHex = (channels) =>
+  '#' + channels.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+
+// Relative luminance and contrast ratio as defined by WCAG 2
+const getLuminance = (channels) => {
+  const [r, g, b] = channels.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const getContrastRatio = (first, second) => {
+  const [lighter, darker] = [getLuminance(first), getLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// A colour picked for a light screen, e.g. a category colour, mixed towards
+// white or black just far enough to reach the WCAG AA contrast of 4.5:1
+// against `background`. Colours that already do come back as is.
+export const getReadableColor = (color, background, minContrast = 4.5) => {
+  if (!/^#[0-9A-Fa-f]{3,8}$/.test(color)) {
+    return color;
+  }
+  const channels = parseHex(color);
+  const backgroundChannels = parseHex(background);
+  const target = getLuminance(backgroundChannels) < 0.5 ? 255 : 0;
+
+  for (let step = 0; step <= 10; step++) {
+    const mixed = channels.map(channel => channel + (target - channel) * step / 10);
+    if (getContrastRatio(mixed, backgroundChannels) >= minContrast) {
+      return step === 0 ? color : toHex(mixed);
+    }
+  }
+  return toHex(channels.map(() => target));
+};
@@ -0,0 +1,147 @@
+import { DEFAULT_CURRENCY_SETTINGS, convertAmount, getExpenseCurrency } from './currency';
+import { getExpenseDate, toISODate } from './dates';
+import { getExpenseTags } from './tags';
+import { getTransactionType, EXPENSE_TYPE, INCOME_TYPE, TRANSFER_TYPE } from '../constants/transactions';
+
+// The ledger is stored one calendar month per chunk, and every chunk has a
+// summary that is rewritten whenever the chunk is. Summaries keep amounts per
+// currency ({ USD: 12.5, EUR: 3 }) and convert them when they are read, so
+// they stay right when exchange rates or the base currency change:
+//   { count, firstDate, spending, spendingCount, income, incomeCount,
+//     categories: { [name]: amounts },
+//     tags: { [tag]: { count, spending: amounts } },
+//     accounts: { [id]: amounts } }
+// Category totals are spending only; account amounts are signed changes.
+
+// Bump when the summary shape changes so stored totals get rebuilt
+export const TOTALS_VERSION = 1;
+
+export const EMPTY_TOTALS = { version: TOTALS_VERSION, chunks: {} };
+
+// Chunks are named after their month, e.g. "2025-03"
+export const getMonthId = (date) => toISODate(date).slice(0, 7);
+
+export const getChunkId = (expense) => getMonthId(getExpenseDate(expense));
+
+const addAmount = (amounts, currency, amount) => {
+  amounts[currency] = (amounts[currency] || 0) + amount;
+};
+
+const addAmounts = (target, amounts) => {
+  Object.entries(amounts).forEach(([currency, amount]) => addAmount(target, currency, amount));
+};
+
+const createSummary = () => ({
+  count: 0,
+  firstDate: null,
+  spending: {},
+  spendingCount: 0,
+  income: {},
+  incomeCount: 0,
+  categories: {},
+  tags: {},
+  accounts: {},
+});
+
+export const summarizeChunk = (records) => {
+  const summary = createSummary();
+
+  records.forEach(record => {
+    const currency = getExpenseCurrency(record);
+    const type = getTransactionType(record);
+    const date = toISODate(getExpenseDate(record));
+    const addToAccount = (id, sign) => {
+      if (id) {
+        summary.accounts[id] = summary.accounts[id] || {};
+        addAmount(summary.accounts[id], currency, sign * record.amount);
+      }
+    };
+
+    summary.count++;
+    if (!summary.firstDate || date < summary.firstDate) {
+      summary.firstDate = date;
+    }
+
+    if (type === TRANSFER_TYPE) {
+      addToAccount(record.accountId, -1);
+      addToAccount(record.toAccountId, 1);
+    } else if (type === INCOME_TYPE) {
+      addAmount(summary.income, currency, record.amount);
+      summary.incomeCount++;
+      addToAccount(record.accountId, 1);
+    } else {
+      addAmount(summary.spending, currency, record.amount);
+      summary.spendingCount++;
+      summary.categories[record.category] = summary.categories[record.category] || {};
+      addAmount(summary.categories[record.category], currency, record.amount);
+      addToAccount(record.accountId, -1);
+    }
+
+    getExpenseTags(record).forEach(tag => {
+      const tagSummary = summary.tags[tag] || { count: 0, spending: {} };
+      tagSummary.count++;
+      if (type === EXPENSE_TYPE) {
+        addAmount(tagSummary.spending, currency, record.amount);
+      }
+      summary.tags[tag] = tagSummary;
+    });
+  });
+
+  return summary;
+};
+
+// Add several summaries together, e.g. every month in a date range
+export const mergeSummaries = (summaries) => {
+  const merged = createSummary();
+  const mergeMap = (target, source) => {
+    Object.entries(source).forEach(([key, amounts]) => {
+      target[key] = target[key] || {};
+      addAmounts(target[key], amounts);
+    });
+  };
+
+  summaries.forEach(summary => {
+    merged.count += summary.count;
+    if (summary.firstDate && (!merged.firstDate || summary.firstDate < merged.firstDate)) {
+      merged.firstDate = summary.firstDate;
+    }
+    addAmounts(merged.spending, summary.spending);
+    merged.spendingCount += summary.spendingCount;
+    addAmounts(merged.income, summary.income);
+    merged.incomeCount += summary.incomeCount;
+    mergeMap(merged.categories, summary.categories);
+    mergeMap(merged.accounts, summary.accounts);
+    Object.entries(summary.tags).forEach(([tag, tagSummary]) => {
+      const total = merged.tags[tag] || { count: 0, spending: {} };
+      total.count += tagSummary.count;
+      addAmounts(total.spending, tagSummary.spending);
+      merged.tags[tag] = total;
+    });
+  });
+
+  return merged;
+};
+
+// Chunk ids in date order, limited to the months a { from, to } range touches
+export const getChunkIds = (totals, direction = 'desc', range = {}) => {
+  const from = range.from ? getMonthId(range.from) : null;
+  const to = range.to ? getMonthId(range.to) : null;
+  const ids = Object.keys(totals.chunks)
+    .filter(id => (!from || id >= from) && (!to || id <= to))
+    .sort();
+  return direction === 'asc' ? ids : ids.reverse();
+};
+
+// Summary of every month a range touches; ranges cover whole months
+export const getRangeSummary = (totals, range = {}) =>
+  mergeSummaries(getChunkIds(totals, 'asc', range).map(id => totals.chunks[id]));
+
+export const getMonthSummary = (totals, date = new Date()) =>
+  totals.chunks[getMonthId(date)] || createSummary();
+
+// Convert per-currency amounts to a single total in the base currency
+export const sumInBase = (amounts, currencySettings = DEFAULT_CURRENCY_SETTINGS) =>
+  Object.entries(amounts).reduce(
+    (sum, [currency, amount]) => sum + convertAmount(amount, currency, currencySettings),
+    0
+  );
@@ -0,0 +1,75 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveExpenseChanges, parseOrNull } from './storage';
+import { deleteReceipts } from './receipts';
+
+// Deleted expenses are kept here with a deletedAt timestamp until they are
+// restored, purged by hand or expire
+export const TRASH_KEY = 'expenses.trash';
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const saveTrash = async (trash) => {
+  await AsyncStorage.setItem(TRASH_KEY, JSON.stringify(trash));
+};
+
+// Purged expenses take their receipt images with them
+const deleteReceiptsOf = (items) =>
+  deleteReceipts(items.flatMap(item => item.receipts || []));
+
+export const getPurgeDate = (item) =>
+  new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Load the trash, permanently dropping anything past the retention period
+export const loadTrash = async (now = new Date()) => {
+  const storedTrash = parseOrNull(await AsyncStorage.getItem(TRASH_KEY));
+  const trash = Array.isArray(storedTrash) ? storedTrash : [];
+  const kept = trash.filter(item => getPurgeDate(item) > now);
+  if (kept.length !== trash.length) {
+    await saveTrash(kept);
+    await deleteReceiptsOf(trash.filter(item => !kept.includes(item)));
+  }
+  return kept;
+};
+
+// Move expenses from the ledger to the trash in a single write, touching
+// only the months they were in. Returns the updated ledger totals.
+export const moveToTrash = async (expenses, now = new Date()) => {
+  const deletedAt = now.toISOString();
+  const removed = expenses.map(expense => ({ ...expense, deletedAt }));
+  const trash = await loadTrash(now);
+  return saveExpenseChanges(expenses, [], [
+    [TRASH_KEY, JSON.stringify([...removed, ...trash])],
+  ]);
+};
+
+// Put trashed expenses back in the ledger. Returns the restored expenses and
+// the updated ledger totals.
+export const restoreFromTrash = async (ids) => {
+  const idSet = new Set(ids);
+  const trash = await loadTrash();
+
+  const restored = trash
+    .filter(item => idSet.has(item.id))
+    .map(item => {
+      const expense = { ...item };
+      delete expense.deletedAt;
+      return expense;
+    });
+  const remainingTrash = trash.filter(item => !idSet.has(item.id));
+
+  const totals = await saveExpenseChanges([], restored, [
+    [TRASH_KEY, JSON.stringify(remainingTrash)],
+  ]);
+  return { restored, totals };
+};
+
+// Delete trashed expenses for good. Returns what is left in the trash.
+export const purgeFromTrash = async (ids) => {
+  const idSet = new Set(ids);
+  const trash = await loadTrash();
+  const remaining = trash.filter(item => !idSet.has(item.id));
+  await saveTrash(remaining);
+  await deleteReceiptsOf(trash.filter(item => idSet.has(item.id)));
+  return remaining;
+};
@@ -0,0 +1,25 @@
+import { normalizeDate } from './dates';
+import { t } from './i18n';
+
+// Digits with an optional dot and decimals, as normalizeDecimalInput returns them
+const AMOUNT_PATTERN = /^(\d+\.?\d*|\.\d+)$/;
+
+// Validation rules shared by AddExpenseModal, the CSV import and quick add.
+// Returns an error message, or null when the fields are valid.
+export const validateExpenseFields = ({ amount, category, date }) => {
+  const values = [amount, category, date].map(value => String(value ?? '').trim());
+  if (values.some(value => !value)) {
+    return t('validation.requiredFields');
+  }
+
+  // Validate amount is a complete number, so "12abc" isn't read as 12
+  if (!AMOUNT_PATTERN.test(values[0]) || parseFloat(values[0]) <= 0) {
+    return t('validation.amount');
+  }
+
+  if (!normalizeDate(values[2])) {
+    return t('validation.date');
+  }
+
+  return null;
+};